@@ -1,9 +1,12 @@
 import { startProxy } from './src/proxy.js';
+import { DEFAULT_MODEL_CATALOG_FILE } from './src/catalog.js';
+import { createLogger, configureLogger } from './src/logger.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const log = createLogger('Config');
 
 function parseBool(value, fallback) {
     if (typeof value === 'boolean') return value;
@@ -21,10 +24,38 @@ function parseBool(value, fallback) {
 const defaultConfig = {
     PORT: 8083,
     API_KEY: '',
+    API_KEYS: [],
+    API_KEYS_FILE: '',
     OPENCODE_SERVER_URL: 'http://127.0.0.1:4097',
     OPENCODE_PATH: 'opencode',
     BIND_HOST: '127.0.0.1',
-    DISABLE_TOOLS: false
+    DISABLE_TOOLS: false,
+    MAX_CONCURRENT_REQUESTS: 4,
+    MAX_QUEUE_DEPTH: 100,
+    MODEL_CONCURRENCY: {},
+    MODEL_ROUTES: {},
+    RATE_LIMIT: {},
+    AUDIT_LOG: {},
+    RESPONSE_CACHE: {},
+    BACKEND_POOL: {},
+    BACKEND_SUPERVISOR: {},
+    SESSION_AFFINITY: true,
+    SESSION_AFFINITY_MAX_ENTRIES: 500,
+    SESSION_AFFINITY_TTL_MS: 1800000,
+    SESSION_RETENTION: 'ttl',
+    SESSION_KEEP_COUNT: 50,
+    SESSION_TTL_MS: 3600000,
+    SESSION_SWEEP_INTERVAL_MS: 600000,
+    SESSION_INSTANCE_ID: '',
+    STRICT_PARAMS: false,
+    FETCH_REMOTE_IMAGES: false,
+    JSON_MAX_RETRIES: 2,
+    RESPONSE_STORE_MAX_ENTRIES: 1000,
+    RESPONSE_STORE_TTL_MS: 3600000,
+    MODEL_CATALOG_FILE: DEFAULT_MODEL_CATALOG_FILE,
+    MODEL_CATALOG_REFRESH_MS: 300000,
+    LOG_LEVEL: '',
+    LOG_FORMAT: 'text'
 };
 
 // Load config from file
@@ -35,9 +66,9 @@ if (fs.existsSync(configPath)) {
     try {
         const content = fs.readFileSync(configPath, 'utf8');
         fileConfig = JSON.parse(content);
-        console.log('[Config] Loaded from config.json');
+        log.info('Loaded from config.json');
     } catch (err) {
-        console.error('[Config] Error parsing config.json:', err.message);
+        log.error('Error parsing config.json', { error: err.message });
     }
 }
 
@@ -45,15 +76,46 @@ if (fs.existsSync(configPath)) {
 const finalConfig = {
     PORT: parseInt(process.env.PORT) || fileConfig.PORT || defaultConfig.PORT,
     API_KEY: process.env.API_KEY || fileConfig.API_KEY || defaultConfig.API_KEY,
+    API_KEYS: fileConfig.API_KEYS || defaultConfig.API_KEYS,
+    API_KEYS_FILE: process.env.OPENCODE_PROXY_API_KEYS_FILE || fileConfig.API_KEYS_FILE || defaultConfig.API_KEYS_FILE,
     OPENCODE_SERVER_URL: process.env.OPENCODE_SERVER_URL || fileConfig.OPENCODE_SERVER_URL || defaultConfig.OPENCODE_SERVER_URL,
     OPENCODE_PATH: process.env.OPENCODE_PATH || fileConfig.OPENCODE_PATH || defaultConfig.OPENCODE_PATH,
     BIND_HOST: process.env.BIND_HOST || fileConfig.BIND_HOST || defaultConfig.BIND_HOST,
-    DISABLE_TOOLS: parseBool(process.env.OPENCODE_DISABLE_TOOLS, parseBool(fileConfig.DISABLE_TOOLS, defaultConfig.DISABLE_TOOLS))
+    DISABLE_TOOLS: parseBool(process.env.OPENCODE_DISABLE_TOOLS, parseBool(fileConfig.DISABLE_TOOLS, defaultConfig.DISABLE_TOOLS)),
+    MAX_CONCURRENT_REQUESTS: parseInt(process.env.OPENCODE_PROXY_MAX_CONCURRENT) || fileConfig.MAX_CONCURRENT_REQUESTS || defaultConfig.MAX_CONCURRENT_REQUESTS,
+    MAX_QUEUE_DEPTH: parseInt(process.env.OPENCODE_PROXY_MAX_QUEUE_DEPTH) || fileConfig.MAX_QUEUE_DEPTH || defaultConfig.MAX_QUEUE_DEPTH,
+    MODEL_CONCURRENCY: fileConfig.MODEL_CONCURRENCY || defaultConfig.MODEL_CONCURRENCY,
+    MODEL_ROUTES: fileConfig.MODEL_ROUTES || defaultConfig.MODEL_ROUTES,
+    RATE_LIMIT: fileConfig.RATE_LIMIT || defaultConfig.RATE_LIMIT,
+    AUDIT_LOG: fileConfig.AUDIT_LOG || defaultConfig.AUDIT_LOG,
+    RESPONSE_CACHE: fileConfig.RESPONSE_CACHE || defaultConfig.RESPONSE_CACHE,
+    BACKEND_POOL: fileConfig.BACKEND_POOL || defaultConfig.BACKEND_POOL,
+    BACKEND_SUPERVISOR: fileConfig.BACKEND_SUPERVISOR || defaultConfig.BACKEND_SUPERVISOR,
+    SESSION_AFFINITY: parseBool(process.env.OPENCODE_PROXY_SESSION_AFFINITY, parseBool(fileConfig.SESSION_AFFINITY, defaultConfig.SESSION_AFFINITY)),
+    SESSION_AFFINITY_MAX_ENTRIES: fileConfig.SESSION_AFFINITY_MAX_ENTRIES || defaultConfig.SESSION_AFFINITY_MAX_ENTRIES,
+    SESSION_AFFINITY_TTL_MS: fileConfig.SESSION_AFFINITY_TTL_MS || defaultConfig.SESSION_AFFINITY_TTL_MS,
+    SESSION_RETENTION: process.env.OPENCODE_PROXY_SESSION_RETENTION || fileConfig.SESSION_RETENTION || defaultConfig.SESSION_RETENTION,
+    SESSION_KEEP_COUNT: fileConfig.SESSION_KEEP_COUNT ?? defaultConfig.SESSION_KEEP_COUNT,
+    SESSION_TTL_MS: fileConfig.SESSION_TTL_MS || defaultConfig.SESSION_TTL_MS,
+    SESSION_SWEEP_INTERVAL_MS: fileConfig.SESSION_SWEEP_INTERVAL_MS ?? defaultConfig.SESSION_SWEEP_INTERVAL_MS,
+    SESSION_INSTANCE_ID: process.env.OPENCODE_PROXY_SESSION_INSTANCE_ID || fileConfig.SESSION_INSTANCE_ID || defaultConfig.SESSION_INSTANCE_ID,
+    STRICT_PARAMS: parseBool(process.env.OPENCODE_PROXY_STRICT_PARAMS, parseBool(fileConfig.STRICT_PARAMS, defaultConfig.STRICT_PARAMS)),
+    FETCH_REMOTE_IMAGES: parseBool(process.env.OPENCODE_PROXY_FETCH_REMOTE_IMAGES, parseBool(fileConfig.FETCH_REMOTE_IMAGES, defaultConfig.FETCH_REMOTE_IMAGES)),
+    JSON_MAX_RETRIES: process.env.OPENCODE_PROXY_JSON_MAX_RETRIES !== undefined
+        ? parseInt(process.env.OPENCODE_PROXY_JSON_MAX_RETRIES)
+        : fileConfig.JSON_MAX_RETRIES ?? defaultConfig.JSON_MAX_RETRIES,
+    RESPONSE_STORE_MAX_ENTRIES: fileConfig.RESPONSE_STORE_MAX_ENTRIES || defaultConfig.RESPONSE_STORE_MAX_ENTRIES,
+    RESPONSE_STORE_TTL_MS: fileConfig.RESPONSE_STORE_TTL_MS || defaultConfig.RESPONSE_STORE_TTL_MS,
+    MODEL_CATALOG_FILE: process.env.OPENCODE_PROXY_MODEL_CATALOG_FILE ?? fileConfig.MODEL_CATALOG_FILE ?? defaultConfig.MODEL_CATALOG_FILE,
+    MODEL_CATALOG_REFRESH_MS: fileConfig.MODEL_CATALOG_REFRESH_MS ?? defaultConfig.MODEL_CATALOG_REFRESH_MS,
+    LOG_LEVEL: process.env.OPENCODE_PROXY_LOG_LEVEL || fileConfig.LOG_LEVEL || defaultConfig.LOG_LEVEL,
+    LOG_FORMAT: process.env.OPENCODE_PROXY_LOG_FORMAT || fileConfig.LOG_FORMAT || defaultConfig.LOG_FORMAT
 };
+configureLogger({ level: finalConfig.LOG_LEVEL, format: finalConfig.LOG_FORMAT });
 
 // Validate required configuration
 if (!finalConfig.OPENCODE_PATH) {
-    console.error('[Error] OPENCODE_PATH is not set. Please configure it in config.json or environment variable.');
+    log.error('OPENCODE_PATH is not set. Please configure it in config.json or environment variable.');
     process.exit(1);
 }
 
@@ -62,45 +124,48 @@ import { execSync } from 'child_process';
 try {
     execSync(`"${finalConfig.OPENCODE_PATH}" --version`, { stdio: 'ignore' });
 } catch (e) {
-    console.warn(`[Warning] Cannot verify OpenCode installation: ${finalConfig.OPENCODE_PATH}`);
-    console.warn('[Warning] Please ensure OpenCode is installed:');
-    console.warn('  Windows: npm install -g opencode-ai');
-    console.warn('  Linux/macOS: curl -fsSL https://opencode.ai/install | bash');
-    console.warn('[Warning] Or specify the full path in config.json:');
-    console.warn('  { "OPENCODE_PATH": "C:\\\\Users\\\\YourName\\\\AppData\\\\Roaming\\\\npm\\\\opencode.cmd" }');
+    log.warn(`Cannot verify OpenCode installation: ${finalConfig.OPENCODE_PATH}`);
+    log.warn('Please ensure OpenCode is installed (Windows: npm install -g opencode-ai; Linux/macOS: curl -fsSL https://opencode.ai/install | bash)');
+    log.warn('Or specify the full path in config.json, e.g. { "OPENCODE_PATH": "C:\\\\Users\\\\YourName\\\\AppData\\\\Roaming\\\\npm\\\\opencode.cmd" }');
 }
 
-console.log('[Config] Starting with configuration:');
-console.log(`  - Port: ${finalConfig.PORT}`);
-console.log(`  - Bind Host: ${finalConfig.BIND_HOST}`);
-console.log(`  - Backend: ${finalConfig.OPENCODE_SERVER_URL}`);
-console.log(`  - OpenCode Path: ${finalConfig.OPENCODE_PATH}`);
-console.log(`  - API Key: ${finalConfig.API_KEY ? 'Configured' : 'Not configured (no auth)'}`);
-console.log(`  - Disable Tools: ${finalConfig.DISABLE_TOOLS ? 'Yes' : 'No'}`);
+log.info('Starting with configuration', {
+    port: finalConfig.PORT,
+    bindHost: finalConfig.BIND_HOST,
+    backend: finalConfig.OPENCODE_SERVER_URL,
+    opencodePath: finalConfig.OPENCODE_PATH,
+    apiKey: finalConfig.API_KEY ? 'Configured' : 'Not configured (no auth)',
+    disableTools: finalConfig.DISABLE_TOOLS,
+    maxConcurrent: finalConfig.MAX_CONCURRENT_REQUESTS,
+    maxQueueDepth: finalConfig.MAX_QUEUE_DEPTH,
+    sessionAffinity: finalConfig.SESSION_AFFINITY,
+    sessionRetention: finalConfig.SESSION_RETENTION
+});
 
 // Start the proxy
 try {
     const proxy = startProxy(finalConfig);
+    const shutdownLog = createLogger('Shutdown');
     
     // Handle graceful shutdown
     process.on('SIGINT', () => {
-        console.log('\n[Shutdown] Received SIGINT, shutting down gracefully...');
+        shutdownLog.info('Received SIGINT, shutting down gracefully...');
         proxy.killBackend();
         proxy.server.close(() => {
-            console.log('[Shutdown] Server closed');
+            shutdownLog.info('Server closed');
             process.exit(0);
         });
     });
     
     process.on('SIGTERM', () => {
-        console.log('\n[Shutdown] Received SIGTERM, shutting down gracefully...');
+        shutdownLog.info('Received SIGTERM, shutting down gracefully...');
         proxy.killBackend();
         proxy.server.close(() => {
-            console.log('[Shutdown] Server closed');
+            shutdownLog.info('Server closed');
             process.exit(0);
         });
     });
 } catch (error) {
-    console.error('[Fatal] Failed to start proxy:', error.message);
+    createLogger('Fatal').error('Failed to start proxy', { error: error.message });
     process.exit(1);
 }
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { normalizeMessageContent } from './messages.js';
+
+// --- Conversation affinity: map chat histories onto existing OpenCode sessions ---
+// Each completed exchange is remembered under a hash of the full history (request messages plus the
+// assistant reply). A later request whose leading messages hash to a remembered entry continues that
+// session and only sends the new turns. Entries are claimed (removed) on use, so a regenerated or edited
+// turn that no longer matches falls back to a fresh session instead of appending to a diverged one.
+// Entries belong to the API key (`owner`) that created them: another key's explicit session key or an
+// identical history never continues that session.
+
+export const DEFAULT_AFFINITY_MAX_ENTRIES = 500;
+export const DEFAULT_AFFINITY_TTL_MS = 30 * 60 * 1000;
+
+function canonicalArguments(args) {
+    if (typeof args !== 'string') return JSON.stringify(args ?? {});
+    try {
+        return JSON.stringify(JSON.parse(args));
+    } catch (e) {
+        return args.trim();
+    }
+}
+
+function canonicalMessage(m) {
+    const role = (m?.role || 'user').toLowerCase();
+    const images = Array.isArray(m?.content)
+        ? m.content
+            .filter((part) => part && part.type === 'image_url')
+            .map((part) => (typeof part.image_url === 'string' ? part.image_url : part.image_url?.url) || '')
+        : [];
+    const toolCalls = Array.isArray(m?.tool_calls)
+        ? m.tool_calls.map((call) => [call?.function?.name || '', canonicalArguments(call?.function?.arguments)])
+        : [];
+    return JSON.stringify([
+        role,
+        m?.name || '',
+        normalizeMessageContent(m?.content).trim(),
+        images,
+        toolCalls,
+        m?.tool_call_id || ''
+    ]);
+}
+
+/**
+ * hashes[i] fingerprints messages[0..i].
+ */
+export function hashMessagePrefixes(messages) {
+    const hashes = [];
+    let prev = '';
+    messages.forEach((m) => {
+        prev = crypto.createHash('sha256').update(prev).update(canonicalMessage(m)).digest('hex');
+        hashes.push(prev);
+    });
+    return hashes;
+}
+
+export function createSessionAffinity(options = {}) {
+    const maxEntries = Math.max(1, Number(options.maxEntries) || DEFAULT_AFFINITY_MAX_ENTRIES);
+    const ttlMs = Math.max(1000, Number(options.ttlMs) || DEFAULT_AFFINITY_TTL_MS);
+    // Map insertion order doubles as LRU order.
+    const entries = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (now - entry.lastUsed > ttlMs) entries.delete(key);
+        }
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    const entryKey = (owner, kind, value) => `${kind}:${JSON.stringify(owner || '')}:${value}`;
+
+    const take = (key, owner) => {
+        const entry = entries.get(key);
+        if (!entry || entry.owner !== (owner || '')) return null;
+        entries.delete(key);
+        return Date.now() - entry.lastUsed > ttlMs ? null : entry;
+    };
+
+    /**
+     * Claim the session that `messages` continues for the API key `owner`. Returns { sessionId, fromIndex,
+     * reason } where `fromIndex` is the first message not yet in the session, or null when a fresh session
+     * is needed.
+     */
+    const claim = (messages, explicitId = null, owner = '') => {
+        prune();
+        const hashes = hashMessagePrefixes(messages);
+        if (explicitId) {
+            const entry = take(entryKey(owner, 'id', explicitId), owner);
+            if (!entry) return null;
+            const { messageCount, historyHash } = entry;
+            if (messageCount < messages.length && hashes[messageCount - 1] === historyHash) {
+                return { sessionId: entry.sessionId, fromIndex: messageCount, reason: 'explicit' };
+            }
+            return { sessionId: null, fromIndex: 0, reason: 'diverged', staleSessionId: entry.sessionId };
+        }
+        for (let k = messages.length - 1; k >= 1; k -= 1) {
+            const entry = take(entryKey(owner, 'h', hashes[k - 1]), owner);
+            if (entry) return { sessionId: entry.sessionId, fromIndex: k, reason: 'prefix' };
+        }
+        return null;
+    };
+
+    /**
+     * Remember that `sessionId` now holds `messages` followed by the assistant `reply` message, for `owner`.
+     */
+    const remember = (messages, reply, sessionId, explicitId = null, owner = '') => {
+        const history = [...messages, reply];
+        const hashes = hashMessagePrefixes(history);
+        const historyHash = hashes[hashes.length - 1];
+        const key = explicitId ? entryKey(owner, 'id', explicitId) : entryKey(owner, 'h', historyHash);
+        entries.delete(key);
+        entries.set(key, {
+            owner: owner || '',
+            sessionId,
+            historyHash,
+            messageCount: history.length,
+            lastUsed: Date.now()
+        });
+        prune();
+    };
+
+    const hasSession = (sessionId) => {
+        for (const entry of entries.values()) {
+            if (entry.sessionId === sessionId && Date.now() - entry.lastUsed <= ttlMs) return true;
+        }
+        return false;
+    };
+
+    const getState = () => ({
+        entries: entries.size,
+        maxEntries,
+        ttlMs
+    });
+
+    return { claim, remember, hasSession, getState };
+}
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import { HttpError } from './errors.js';
+
+// --- Anthropic Messages API (/v1/messages) on top of the chat prompt flow ---
+
+export function createMessageId() {
+    return `msg_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function blockText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter((block) => block && block.type === 'text')
+        .map((block) => block.text || '')
+        .join('\n');
+}
+
+function toImagePart(block) {
+    const source = block.source || {};
+    if (source.type === 'base64' && source.data) {
+        return { type: 'image_url', image_url: { url: `data:${source.media_type || 'image/png'};base64,${source.data}` } };
+    }
+    if (source.type === 'url' && source.url) {
+        return { type: 'image_url', image_url: { url: source.url } };
+    }
+    throw new HttpError(400, `Unsupported image source type: ${source.type}`, 'invalid_request_error', 'unsupported_content');
+}
+
+function toolResultText(block) {
+    const text = typeof block.content === 'string' ? block.content : blockText(block.content);
+    return block.is_error ? `Error: ${text}` : text;
+}
+
+/**
+ * Convert an Anthropic `system` + `messages` pair into chat messages, so the chat prompt builder can be
+ * reused. `tool_use` blocks become assistant `tool_calls`, `tool_result` blocks become `tool` messages
+ * (images they carry follow as a user message), and thinking blocks are dropped.
+ */
+export function anthropicToChatMessages(system, messages) {
+    if (!Array.isArray(messages) || !messages.length) {
+        throw new HttpError(400, 'messages: at least one message is required');
+    }
+    const chat = [];
+    const systemText = typeof system === 'string' ? system : blockText(system);
+    if (systemText.trim()) chat.push({ role: 'system', content: systemText });
+
+    messages.forEach((message) => {
+        const role = message?.role;
+        if (role !== 'user' && role !== 'assistant') {
+            throw new HttpError(400, `messages: unexpected role "${role}"; only "user" and "assistant" are allowed`);
+        }
+        if (typeof message.content === 'string') {
+            chat.push({ role, content: message.content });
+            return;
+        }
+        if (!Array.isArray(message.content)) {
+            throw new HttpError(400, 'messages: content must be a string or an array of content blocks');
+        }
+
+        let parts = [];
+        const toolCalls = [];
+        const flush = () => {
+            if (parts.length) chat.push({ role, content: parts });
+            parts = [];
+        };
+        message.content.forEach((block) => {
+            switch (block?.type) {
+                case 'text':
+                    parts.push({ type: 'text', text: block.text || '' });
+                    break;
+                case 'image':
+                    parts.push(toImagePart(block));
+                    break;
+                case 'document':
+                    if (block.source?.type !== 'text') {
+                        throw new HttpError(400, 'Only plain text documents are supported', 'invalid_request_error', 'unsupported_content');
+                    }
+                    parts.push({ type: 'text', text: block.source.data || '' });
+                    break;
+                case 'tool_use':
+                    toolCalls.push({
+                        id: block.id,
+                        type: 'function',
+                        function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+                    });
+                    break;
+                case 'tool_result': {
+                    // Tool results answer the previous assistant turn, so they go before any text in this one.
+                    flush();
+                    chat.push({ role: 'tool', tool_call_id: block.tool_use_id, content: toolResultText(block) });
+                    const images = Array.isArray(block.content)
+                        ? block.content.filter((b) => b && b.type === 'image').map(toImagePart)
+                        : [];
+                    if (images.length) chat.push({ role: 'user', content: images });
+                    break;
+                }
+                case 'thinking':
+                case 'redacted_thinking':
+                    break;
+                default:
+                    throw new HttpError(400, `Unsupported content block type: ${block?.type}`, 'invalid_request_error', 'unsupported_content');
+            }
+        });
+        if (toolCalls.length) {
+            chat.push({ role, content: parts.length ? parts : null, tool_calls: toolCalls });
+        } else {
+            flush();
+        }
+    });
+    return chat;
+}
+
+/**
+ * Anthropic tools ({ name, description, input_schema }) in the chat shape. Server tools (web search,
+ * code execution, ...) cannot be provided by the proxy.
+ */
+export function anthropicToolsToChat(tools) {
+    if (tools === undefined || tools === null) return [];
+    if (!Array.isArray(tools)) throw new HttpError(400, 'tools must be an array');
+    return tools.map((tool) => {
+        if ((tool?.type && tool.type !== 'custom') || typeof tool?.name !== 'string') {
+            throw new HttpError(400, `Unsupported tool: ${tool?.type || tool?.name}; only custom tools are supported`, 'invalid_request_error', 'unsupported_tool');
+        }
+        return {
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+        };
+    });
+}
+
+export function anthropicToolChoiceToChat(toolChoice) {
+    switch (toolChoice?.type) {
+        case 'any':
+            return 'required';
+        case 'tool':
+            return { type: 'function', function: { name: toolChoice.name } };
+        case 'none':
+            return 'none';
+        default:
+            return 'auto';
+    }
+}
+
+/**
+ * Anthropic stop_reason for a chat finish_reason. `stopSequence` is the client stop sequence that ended the reply.
+ */
+export function toAnthropicStopReason(finishReason, stopSequence = null) {
+    if (finishReason === 'length') return 'max_tokens';
+    if (finishReason === 'tool_calls') return 'tool_use';
+    if (finishReason === 'content_filter') return 'refusal';
+    return stopSequence ? 'stop_sequence' : 'end_turn';
+}
+
+/**
+ * Sum OpenCode token counts into an Anthropic `usage` object, where cached prompt tokens are not part of `input_tokens`.
+ */
+export function toAnthropicUsage(infos) {
+    const usage = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+    infos.forEach((info) => {
+        const tokens = info?.tokens || {};
+        usage.input_tokens += Number(tokens.input) || 0;
+        usage.output_tokens += (Number(tokens.output) || 0) + (Number(tokens.reasoning) || 0);
+        usage.cache_creation_input_tokens += Number(tokens.cache?.write) || 0;
+        usage.cache_read_input_tokens += Number(tokens.cache?.read) || 0;
+    });
+    return usage;
+}
+
+function parseToolInput(args) {
+    try {
+        const value = JSON.parse(args || '{}');
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * `call` is a chat tool call ({ id, function: { name, arguments } }).
+ */
+export function buildToolUseBlock(call) {
+    return { type: 'tool_use', id: call.id, name: call.function.name, input: parseToolInput(call.function.arguments) };
+}
+
+/**
+ * Content blocks for a finished reply: thinking first, then text, then tool uses.
+ * OpenCode reasoning has no Anthropic signature, so thinking blocks carry an empty one.
+ */
+export function buildContentBlocks({ reasoning, content, toolCalls = [] }) {
+    const blocks = [];
+    if (reasoning) blocks.push({ type: 'thinking', thinking: reasoning, signature: '' });
+    if (content) blocks.push({ type: 'text', text: content });
+    toolCalls.forEach((call) => blocks.push(buildToolUseBlock(call)));
+    return blocks;
+}
+
+const ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    413: 'request_too_large',
+    429: 'rate_limit_error',
+    529: 'overloaded_error'
+};
+
+export function anthropicErrorType(statusCode) {
+    return ERROR_TYPES[statusCode] || 'api_error';
+}
+
+/**
+ * Write an HttpError as an Anthropic-style error response, including any headers it carries.
+ */
+export function sendAnthropicError(res, error) {
+    if (error.headers) {
+        Object.entries(error.headers).forEach(([name, value]) => res.setHeader(name, value));
+    }
+    res.status(error.statusCode).json({
+        type: 'error',
+        error: { type: anthropicErrorType(error.statusCode), message: error.message }
+    });
+}
+
+/**
+ * Writes the Anthropic SSE events for one message. Thinking and text deltas open content blocks on demand
+ * and close the previous block when the kind of output changes.
+ * `message` is the message object sent in `message_start` (with empty content); that event is only sent with
+ * the first output, so fields such as `model` can change until then.
+ */
+export function createMessageEventStream(res, message) {
+    let index = -1;
+    let current = null;
+    let started = false;
+
+    const send = (type, payload) => {
+        if (!started) {
+            started = true;
+            send('message_start', { message });
+        }
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`);
+    };
+
+    const closeCurrent = () => {
+        if (!current) return;
+        send('content_block_stop', { index });
+        current = null;
+    };
+
+    const delta = (kind, text) => {
+        if (!text) return;
+        if (current !== kind) {
+            closeCurrent();
+            index += 1;
+            current = kind;
+            const block = kind === 'thinking'
+                ? { type: 'thinking', thinking: '', signature: '' }
+                : { type: 'text', text: '' };
+            send('content_block_start', { index, content_block: block });
+        }
+        send('content_block_delta', {
+            index,
+            delta: kind === 'thinking' ? { type: 'thinking_delta', thinking: text } : { type: 'text_delta', text }
+        });
+    };
+
+    const toolUse = (call) => {
+        closeCurrent();
+        index += 1;
+        const block = buildToolUseBlock(call);
+        send('content_block_start', { index, content_block: { ...block, input: {} } });
+        send('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+        send('content_block_stop', { index });
+    };
+
+    return {
+        thinkingDelta: (text) => delta('thinking', text),
+        textDelta: (text) => delta('text', text),
+        toolUse,
+        /**
+         * Close any open block and send `message_delta` and `message_stop`.
+         */
+        finish: ({ stopReason, stopSequence = null, usage }) => {
+            closeCurrent();
+            send('message_delta', { delta: { stop_reason: stopReason, stop_sequence: stopSequence }, usage });
+            send('message_stop', {});
+        },
+        error: (error) => {
+            send('error', { error: { type: anthropicErrorType(error.statusCode), message: error.message } });
+        }
+    };
+}
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+// --- API keys: named keys with model scopes, expiry and per-key tool permissions ---
+// Keys come from API_KEY (a single key named "default" with admin access), API_KEYS (a list in the
+// configuration) and API_KEYS_FILE (a JSON file holding such a list, or { "keys": [...] }, reloaded when it
+// changes). A key entry looks like
+// { "name": "alice", "key": "sk-...", "enabled": true, "expiresAt": "2026-12-31T00:00:00Z",
+//   "models": ["opencode/kimi-*"], "disableTools": true, "admin": false }
+// where `models` lists the model names or `*` patterns the key may use (all when omitted) and
+// `disableTools` overrides DISABLE_TOOLS for requests made with it.
+
+export const DEFAULT_API_KEYS_RELOAD_MS = 2000;
+
+const log = createLogger('Keys');
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+function compilePatterns(models) {
+    return models.map((pattern) => new RegExp(`^${pattern.split('*').map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+}
+
+function parseExpiry(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time)) throw new Error(`invalid expiresAt ${JSON.stringify(value)}`);
+    return time;
+}
+
+function normalizeEntry(raw, source) {
+    if (!raw || typeof raw !== 'object') throw new Error('entry must be an object');
+    if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('name is required');
+    if (typeof raw.key !== 'string' || !raw.key) throw new Error(`key "${raw.name}" has no secret`);
+    if (raw.models !== undefined && raw.models !== null &&
+        (!Array.isArray(raw.models) || raw.models.some((m) => typeof m !== 'string'))) {
+        throw new Error(`key "${raw.name}": models must be an array of model names`);
+    }
+    if (raw.disableTools !== undefined && raw.disableTools !== null && typeof raw.disableTools !== 'boolean') {
+        throw new Error(`key "${raw.name}": disableTools must be a boolean`);
+    }
+    const models = Array.isArray(raw.models) ? raw.models : null;
+    return {
+        name: raw.name.trim(),
+        hash: hashSecret(raw.key),
+        enabled: raw.enabled !== false,
+        expiresAt: parseExpiry(raw.expiresAt),
+        models,
+        patterns: models ? compilePatterns(models) : null,
+        disableTools: typeof raw.disableTools === 'boolean' ? raw.disableTools : null,
+        admin: raw.admin === true,
+        source
+    };
+}
+
+/**
+ * The public view of a key: everything but the secret.
+ */
+function describe(entry) {
+    return {
+        name: entry.name,
+        enabled: entry.enabled,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+        models: entry.models,
+        disableTools: entry.disableTools,
+        admin: entry.admin,
+        source: entry.source
+    };
+}
+
+/**
+ * A secret from the configured keys that a local client (the OpenClaw plugin) can use: API_KEY, else the
+ * first usable entry of API_KEYS or API_KEYS_FILE, preferring keys not limited to some models. '' when
+ * auth is off or no key is usable.
+ */
+export function pickClientKey({ apiKey = '', keys = [], filePath = '' } = {}) {
+    if (apiKey && apiKey.trim()) return apiKey;
+    let fileKeys = [];
+    if (filePath) {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            fileKeys = Array.isArray(data) ? data : (Array.isArray(data?.keys) ? data.keys : []);
+        } catch (e) {
+            log.debug('Could not read API keys file for a client key', { file: filePath, error: e.message });
+        }
+    }
+    const usable = [...(Array.isArray(keys) ? keys : []), ...fileKeys].filter((raw) => {
+        try {
+            const entry = normalizeEntry(raw, 'client');
+            return entry.enabled && !(entry.expiresAt && entry.expiresAt <= Date.now());
+        } catch (e) {
+            return false;
+        }
+    });
+    const chosen = usable.find((raw) => !Array.isArray(raw.models)) || usable[0];
+    return chosen ? chosen.key : '';
+}
+
+/**
+ * Key store for the auth middleware. `authenticate(secret)` returns { key } for a usable key or
+ * { error } with the reason it was refused; `key` is the public view of the entry ({ name, models,
+ * disableTools, admin, ... }). Authentication is required as soon as any key source is configured —
+ * an API_KEYS_FILE that is missing or empty therefore locks every client out rather than letting them in.
+ */
+export function createApiKeyStore(options = {}) {
+    const { apiKey = '', keys = [], filePath = '' } = options;
+    const reloadMs = Number(options.reloadMs ?? DEFAULT_API_KEYS_RELOAD_MS);
+    const required = Boolean((apiKey && apiKey.trim()) || (Array.isArray(keys) && keys.length) || filePath);
+
+    let staticEntries = [];
+    let fileEntries = [];
+    let entries = [];
+    let lastLoad = null;
+    let watching = false;
+
+    const collect = (list, source) => {
+        const collected = [];
+        const errors = [];
+        (Array.isArray(list) ? list : []).forEach((raw, index) => {
+            try {
+                collected.push(normalizeEntry(raw, source));
+            } catch (e) {
+                errors.push(`${source}[${index}]: ${e.message}`);
+            }
+        });
+        return { collected, errors };
+    };
+
+    const rebuild = () => {
+        const seen = new Set();
+        entries = [...staticEntries, ...fileEntries].filter((entry) => {
+            if (seen.has(entry.name)) {
+                log.error('Duplicate API key name; later entry ignored', { name: entry.name, source: entry.source });
+                return false;
+            }
+            seen.add(entry.name);
+            return true;
+        });
+    };
+
+    const loadStatic = () => {
+        const { collected, errors } = collect(keys, 'API_KEYS');
+        errors.forEach((error) => log.error('Ignoring API key entry', { error }));
+        staticEntries = collected;
+        if (apiKey && apiKey.trim()) {
+            staticEntries.unshift(normalizeEntry({ name: 'default', key: apiKey, admin: true }, 'API_KEY'));
+        }
+    };
+
+    /**
+     * Re-read API_KEYS_FILE. A file that cannot be read or parsed leaves the previous keys in place.
+     */
+    const reload = () => {
+        if (!filePath) return getState();
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const list = Array.isArray(data) ? data : data?.keys;
+            if (!Array.isArray(list)) throw new Error('expected an array of keys or { "keys": [...] }');
+            const { collected, errors } = collect(list, 'API_KEYS_FILE');
+            errors.forEach((error) => log.error('Ignoring API key entry', { error }));
+            fileEntries = collected;
+            rebuild();
+            lastLoad = { at: Date.now(), error: null };
+            log.info(`Loaded ${collected.length} API key(s)`, { file: filePath });
+        } catch (e) {
+            lastLoad = { at: Date.now(), error: e.message };
+            log.error(`Failed to load API keys, keeping ${fileEntries.length} previous key(s)`, { file: filePath, error: e.message });
+        }
+        return getState();
+    };
+
+    const authenticate = (secret) => {
+        if (!required) return { key: null };
+        if (!secret) return { error: 'missing' };
+        const hash = hashSecret(secret);
+        const entry = entries.find((e) => crypto.timingSafeEqual(e.hash, hash));
+        if (!entry) return { error: 'invalid' };
+        if (!entry.enabled) return { error: 'disabled', name: entry.name };
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) return { error: 'expired', name: entry.name };
+        return { key: describe(entry) };
+    };
+
+    /**
+     * Whether `key` (a public key view, or null when auth is off) may use the model `modelId`.
+     */
+    const allowsModel = (key, modelId) => {
+        if (!key || !key.models) return true;
+        const entry = entries.find((e) => e.name === key.name);
+        return Boolean(entry?.patterns?.some((re) => re.test(modelId)));
+    };
+
+    const start = () => {
+        if (!filePath || watching || !(reloadMs > 0)) return;
+        watching = true;
+        fs.watchFile(filePath, { interval: reloadMs, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+            log.debug('API key file changed', { file: filePath });
+            reload();
+        });
+    };
+
+    const stop = () => {
+        if (!watching) return;
+        fs.unwatchFile(filePath);
+        watching = false;
+    };
+
+    const getState = () => ({
+        required,
+        filePath: filePath || null,
+        lastLoad: lastLoad ? { at: new Date(lastLoad.at).toISOString(), error: lastLoad.error } : null,
+        keys: entries.map(describe)
+    });
+
+    loadStatic();
+    rebuild();
+    if (filePath) reload();
+    return { authenticate, allowsModel, reload, start, stop, getState, isRequired: () => required };
+}
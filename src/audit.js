@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createLogger } from './logger.js';
+
+// --- Audit log: one JSON line per API request, with optional bodies, redaction and size rotation ---
+// AUDIT_LOG = { "file": "/var/log/opencode-to-openai/audit.jsonl", "includeBodies": false,
+//   "redact": ["sk-[A-Za-z0-9_-]{16,}"], "maxBytes": 10485760, "maxFiles": 5 }
+// Nothing is written without `file`. `includeBodies` adds the request body and the reply text; `redact`
+// lists regular expressions whose matches are replaced with [REDACTED] in them and in error messages.
+// When the file would grow past `maxBytes` it is renamed to <file>.1 (older ones shift to .2, .3, ...)
+// and only `maxFiles` rotated files are kept. Bodies are stored without image data and with long strings
+// shortened, so one request cannot add megabytes to the log.
+
+export const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_AUDIT_MAX_FILES = 5;
+const REDACTED = '[REDACTED]';
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 1000;
+// Body strings longer than this are cut, and base64 payloads (images) longer than this are left out.
+const MAX_BODY_STRING_CHARS = 16 * 1024;
+const MIN_BASE64_CHARS = 1024;
+
+const log = createLogger('Audit');
+
+function compileRedactions(patterns) {
+    return (Array.isArray(patterns) ? patterns : []).flatMap((pattern) => {
+        try {
+            return [new RegExp(pattern, 'g')];
+        } catch (e) {
+            log.error('Ignoring redact pattern', { pattern, error: e.message });
+            return [];
+        }
+    });
+}
+
+/**
+ * Copy of `value` with every redaction pattern applied to its strings.
+ */
+function redactValue(value, redactions) {
+    if (!redactions.length || value === null || value === undefined) return value;
+    if (typeof value === 'string') return redactions.reduce((text, re) => text.replace(re, REDACTED), value);
+    if (Array.isArray(value)) return value.map((item) => redactValue(item, redactions));
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, redactions)]));
+    }
+    return value;
+}
+
+/**
+ * Copy of a request or reply body fit for the log: data URLs and other base64 payloads are replaced by a
+ * note of their size, and strings longer than MAX_BODY_STRING_CHARS are cut.
+ */
+function compactBody(value) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'string') {
+        const dataUrl = /^data:([^;,]+)?;base64,/i.exec(value);
+        if (dataUrl) return `[${dataUrl[1] || 'data'} data URL, ${value.length - dataUrl[0].length} base64 chars omitted]`;
+        if (value.length >= MIN_BASE64_CHARS && /^[A-Za-z0-9+/\r\n]+=*$/.test(value)) return `[${value.length} base64 chars omitted]`;
+        if (value.length > MAX_BODY_STRING_CHARS) {
+            return `${value.slice(0, MAX_BODY_STRING_CHARS)}... [${value.length - MAX_BODY_STRING_CHARS} chars truncated]`;
+        }
+        return value;
+    }
+    if (Array.isArray(value)) return value.map(compactBody);
+    if (typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, compactBody(v)]));
+    return value;
+}
+
+function matchesFilters(record, filters) {
+    if (filters.key && record.key !== filters.key) return false;
+    if (filters.model && record.requestedModel !== filters.model && !(record.models || []).includes(filters.model)) return false;
+    if (filters.session && !(record.sessions || []).includes(filters.session)) return false;
+    if (filters.status && String(record.status) !== String(filters.status)) return false;
+    if (filters.errors && !record.error) return false;
+    if (filters.since && Date.parse(record.time) < filters.since) return false;
+    return true;
+}
+
+/**
+ * `record(entry)` appends one request record; `prompt` and `completions` are dropped unless
+ * `includeBodies` is set. Records are written through a stream, so requests never wait for the disk.
+ * `search(filters)` resolves to the newest matching records across the current and rotated files, with
+ * filters { key, model, session, status, errors, since, q, limit } where `q` is a case-insensitive
+ * substring of the whole line. `close()` flushes and closes the file.
+ */
+export function createAuditLog(options = {}) {
+    const filePath = options.file || '';
+    const includeBodies = options.includeBodies === true;
+    const maxBytes = Number(options.maxBytes) > 0 ? Number(options.maxBytes) : DEFAULT_AUDIT_MAX_BYTES;
+    const maxFiles = Number.isInteger(Number(options.maxFiles)) && Number(options.maxFiles) >= 0
+        ? Number(options.maxFiles)
+        : DEFAULT_AUDIT_MAX_FILES;
+    const redactions = compileRedactions(options.redact);
+    const enabled = Boolean(filePath);
+
+    let size = null;
+    let written = 0;
+    let lastError = null;
+    let stream = null;
+
+    const rotatedPath = (index) => `${filePath}.${index}`;
+
+    const recordError = (message) => {
+        if (lastError?.message !== message) log.error('Failed to write audit record', { file: filePath, error: message });
+        lastError = { message, at: Date.now() };
+    };
+
+    // The file is opened up front so a rotation can rename it right away; its size is read once per
+    // opened file and then tracked as records are written.
+    const openStream = () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const fd = fs.openSync(filePath, 'a');
+        size = fs.fstatSync(fd).size;
+        const opened = fs.createWriteStream(filePath, { fd });
+        opened.on('error', (e) => {
+            recordError(e.message);
+            if (stream === opened) {
+                stream = null;
+                size = null;
+            }
+        });
+        stream = opened;
+    };
+
+    const closeStream = () => {
+        if (stream) stream.end();
+        stream = null;
+    };
+
+    // Records still buffered in the old stream land in the renamed file, where they belong.
+    const rotate = () => {
+        closeStream();
+        try {
+            fs.rmSync(rotatedPath(maxFiles), { force: true });
+            for (let i = maxFiles - 1; i >= 1; i -= 1) {
+                if (fs.existsSync(rotatedPath(i))) fs.renameSync(rotatedPath(i), rotatedPath(i + 1));
+            }
+            if (maxFiles > 0) fs.renameSync(filePath, rotatedPath(1));
+            else fs.rmSync(filePath, { force: true });
+        } catch (e) {
+            log.error('Failed to rotate audit log', { file: filePath, error: e.message });
+        }
+        size = null;
+    };
+
+    const record = (entry) => {
+        if (!enabled) return;
+        const { prompt, completions, error, ...rest } = entry;
+        const line = `${JSON.stringify({
+            ...rest,
+            error: redactValue(error ?? null, redactions),
+            ...(includeBodies ? {
+                prompt: redactValue(compactBody(prompt ?? null), redactions),
+                completions: redactValue(compactBody(completions || []), redactions)
+            } : {})
+        })}\n`;
+        const bytes = Buffer.byteLength(line);
+        try {
+            if (stream && size > 0 && size + bytes > maxBytes) rotate();
+            if (!stream) {
+                openStream();
+                if (size > 0 && size + bytes > maxBytes) {
+                    rotate();
+                    openStream();
+                }
+            }
+            stream.write(line);
+            size += bytes;
+            written += 1;
+        } catch (e) {
+            closeStream();
+            size = null;
+            recordError(e.message);
+        }
+    };
+
+    /**
+     * The last `limit` records of `file` that match, oldest first, read line by line.
+     */
+    const searchFile = async (file, limit, q, parsedFilters) => {
+        const matches = [];
+        const input = fs.createReadStream(file, { encoding: 'utf8' });
+        try {
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line || (q && !line.toLowerCase().includes(q))) continue;
+                let parsed;
+                try {
+                    parsed = JSON.parse(line);
+                } catch (e) {
+                    continue;
+                }
+                if (!matchesFilters(parsed, parsedFilters)) continue;
+                matches.push(parsed);
+                if (matches.length > limit) matches.shift();
+            }
+        } catch (e) {
+            if (e.code !== 'ENOENT') log.error('Failed to read audit log', { file, error: e.message });
+        } finally {
+            input.destroy();
+        }
+        return matches;
+    };
+
+    const search = async (filters = {}) => {
+        if (!enabled) return [];
+        const limit = Math.min(MAX_SEARCH_LIMIT, Number.parseInt(filters.limit, 10) || DEFAULT_SEARCH_LIMIT);
+        const since = filters.since ? (Number(filters.since) || Date.parse(filters.since)) : null;
+        const q = filters.q ? String(filters.q).toLowerCase() : '';
+        const parsedFilters = { ...filters, since, errors: ['1', 'true', true].includes(filters.errors) };
+        const results = [];
+        for (let i = 0; i <= maxFiles && results.length < limit; i += 1) {
+            const matches = await searchFile(i === 0 ? filePath : rotatedPath(i), limit - results.length, q, parsedFilters);
+            results.push(...matches.reverse());
+        }
+        return results;
+    };
+
+    const getState = () => ({
+        enabled,
+        file: filePath || null,
+        includeBodies,
+        redactPatterns: redactions.length,
+        maxBytes,
+        maxFiles,
+        size: size ?? (enabled && fs.existsSync(filePath) ? fs.statSync(filePath).size : 0),
+        written,
+        lastError: lastError ? { message: lastError.message, at: new Date(lastError.at).toISOString() } : null
+    });
+
+    return { enabled, record, search, close: closeStream, getState };
+}
@@ -0,0 +1,216 @@
+import { HttpError } from './errors.js';
+import { createLogger } from './logger.js';
+
+// --- Pool of OpenCode backends: selection, health checks, ejection and re-admission ---
+// BACKEND_POOL = { "size": 3, "basePort": 4097, "urls": ["http://10.0.0.5:4096"], "strategy": "least-busy",
+//   "healthCheckIntervalMs": 10000 }
+// `size` backends are started by the proxy on consecutive ports from `basePort` (default: the port of
+// OPENCODE_SERVER_URL); `urls` are backends run elsewhere, which are only health checked. Without either,
+// the pool is the single OPENCODE_SERVER_URL backend.
+
+export const BACKEND_STRATEGIES = ['least-busy', 'round-robin'];
+export const DEFAULT_BACKEND_STRATEGY = 'least-busy';
+export const DEFAULT_HEALTH_CHECK_INTERVAL_MS = 10 * 1000;
+
+const log = createLogger('Backends');
+
+/**
+ * The backends described by `pool` ({ size, basePort, urls }): [{ url, managed }], where `managed` backends
+ * are started (and restarted) by the proxy.
+ */
+export function resolveBackendList(serverUrl, pool = {}) {
+    const urls = (Array.isArray(pool.urls) ? pool.urls : []).filter((url) => typeof url === 'string' && url);
+    const size = Number.isInteger(Number(pool.size)) && Number(pool.size) >= 0 ? Number(pool.size) : (urls.length ? 0 : 1);
+    const base = new URL(serverUrl);
+    const basePort = Number(pool.basePort) || Number(base.port) || 4097;
+    const managed = Array.from({ length: size }, (_, i) => {
+        if (size === 1 && !pool.basePort) return { url: serverUrl, managed: true };
+        const url = new URL(serverUrl);
+        url.port = String(basePort + i);
+        return { url: url.toString().replace(/\/$/, ''), managed: true };
+    });
+    const seen = new Set();
+    const list = [...managed, ...urls.map((url) => ({ url: url.replace(/\/$/, ''), managed: false }))].filter((backend) => {
+        if (seen.has(backend.url)) return false;
+        seen.add(backend.url);
+        return true;
+    });
+    return list.length ? list : [{ url: serverUrl, managed: true }];
+}
+
+/**
+ * Backends are [{ url, managed }]; each gets an `id` (b0, b1, ...) and a `client` from `createClient(url)`.
+ * `checkHealth(url)` rejects when a backend is down, and `startBackend(backend)` brings a managed one up.
+ * `getLoad(backend)` is the number of sessions a backend is busy with, for the least-busy strategy, and
+ * `describe(backend)` adds fields (such as its process state) to the backend in `getState()`.
+ *
+ * `pick()` returns a running backend for new sessions, trying the others when the chosen one is down;
+ * `ready()` only makes sure one is running. Every `healthCheckIntervalMs` each backend is checked: a failing
+ * backend is ejected (managed ones are restarted in the background) and one that passes again is
+ * re-admitted. `report(backend, error)` does the same from outside (e.g. when a managed process exits).
+ */
+export function createBackendPool(options) {
+    const { createClient, checkHealth, startBackend } = options;
+    const getLoad = options.getLoad || (() => 0);
+    const describe = options.describe || (() => ({}));
+    const strategy = BACKEND_STRATEGIES.includes(options.strategy) ? options.strategy : DEFAULT_BACKEND_STRATEGY;
+    const healthCheckIntervalMs = Number(options.healthCheckIntervalMs ?? DEFAULT_HEALTH_CHECK_INTERVAL_MS);
+
+    const backends = options.backends.map(({ url, managed }, i) => ({
+        id: `b${i}`,
+        url,
+        managed: Boolean(managed),
+        client: createClient(url),
+        // null until the first check or request.
+        healthy: null,
+        lastCheckedAt: null,
+        lastError: null,
+        ejections: 0,
+        restarting: null
+    }));
+    let nextIndex = 0;
+    let healthTimer = null;
+    let checking = null;
+
+    const markHealthy = (backend) => {
+        if (backend.healthy === false) log.info(`Backend ${backend.id} re-admitted`, { url: backend.url });
+        backend.healthy = true;
+        backend.lastError = null;
+        backend.lastCheckedAt = Date.now();
+    };
+
+    const markUnhealthy = (backend, error) => {
+        if (backend.healthy !== false) {
+            backend.ejections += 1;
+            log.warn(`Backend ${backend.id} ejected`, { url: backend.url, error: error.message });
+        }
+        backend.healthy = false;
+        backend.lastError = { message: error.message, at: Date.now() };
+        backend.lastCheckedAt = Date.now();
+    };
+
+    const report = (backend, error) => {
+        if (error) markUnhealthy(backend, error);
+        else markHealthy(backend);
+    };
+
+    const isAvailable = (backend) => Boolean(backend) && backend.healthy !== false;
+
+    /**
+     * Make sure `backend` is running: managed backends are started when they do not answer.
+     */
+    const ensure = async (backend) => {
+        try {
+            if (backend.managed) await startBackend(backend);
+            else await checkHealth(backend.url);
+            markHealthy(backend);
+        } catch (e) {
+            markUnhealthy(backend, e);
+            throw e;
+        }
+    };
+
+    // Admitted backends in the order the strategy prefers them, then ejected managed ones, which may restart.
+    const candidates = () => {
+        const start = nextIndex % backends.length;
+        const rotated = [...backends.slice(start), ...backends.slice(0, start)];
+        let admitted = rotated.filter(isAvailable);
+        if (strategy === 'least-busy') {
+            admitted = admitted
+                .map((backend, order) => ({ backend, order, load: getLoad(backend) }))
+                .sort((a, b) => a.load - b.load || a.order - b.order)
+                .map(({ backend }) => backend);
+        }
+        return [...admitted, ...rotated.filter((backend) => !isAvailable(backend) && backend.managed)];
+    };
+
+    const firstRunning = async (list) => {
+        let lastError = null;
+        for (const backend of list) {
+            try {
+                await ensure(backend);
+                return backend;
+            } catch (e) {
+                lastError = e;
+            }
+        }
+        throw new HttpError(
+            503,
+            `No OpenCode backend is available${lastError ? `: ${lastError.message}` : ''}`,
+            'api_error',
+            'backend_unavailable'
+        );
+    };
+
+    const pick = async () => {
+        const list = candidates();
+        nextIndex = (nextIndex + 1) % backends.length;
+        return firstRunning(list);
+    };
+
+    const ready = () => firstRunning([...backends.filter(isAvailable), ...backends.filter((b) => !isAvailable(b) && b.managed)]);
+
+    /**
+     * Any admitted backend, for requests that are not tied to a session (model and tool lists).
+     */
+    const primary = () => backends.find(isAvailable) || backends[0];
+
+    const get = (id) => backends.find((backend) => backend.id === id) || null;
+
+    const checkOne = async (backend) => {
+        try {
+            await checkHealth(backend.url);
+            markHealthy(backend);
+        } catch (e) {
+            markUnhealthy(backend, e);
+            if (backend.managed && !backend.restarting) {
+                backend.restarting = ensure(backend)
+                    .catch((err) => log.debug('Backend restart failed', { backend: backend.id, error: err.message }))
+                    .finally(() => {
+                        backend.restarting = null;
+                    });
+            }
+        }
+    };
+
+    /**
+     * Health check every backend now; concurrent calls share the same run.
+     */
+    const checkAll = () => {
+        if (!checking) {
+            checking = Promise.all(backends.map(checkOne)).finally(() => {
+                checking = null;
+            });
+        }
+        return checking;
+    };
+
+    const start = () => {
+        if (healthTimer || !(healthCheckIntervalMs > 0)) return;
+        healthTimer = setInterval(checkAll, healthCheckIntervalMs);
+        healthTimer.unref();
+    };
+
+    const stop = () => {
+        if (healthTimer) clearInterval(healthTimer);
+        healthTimer = null;
+    };
+
+    const getState = () => ({
+        strategy,
+        healthCheckIntervalMs,
+        backends: backends.map((backend) => ({
+            id: backend.id,
+            url: backend.url,
+            managed: backend.managed,
+            healthy: backend.healthy,
+            load: getLoad(backend),
+            ejections: backend.ejections,
+            lastCheckedAt: backend.lastCheckedAt ? new Date(backend.lastCheckedAt).toISOString() : null,
+            lastError: backend.lastError ? { message: backend.lastError.message, at: new Date(backend.lastError.at).toISOString() } : null,
+            ...describe(backend)
+        }))
+    });
+
+    return { backends, pick, ready, ensure, report, isAvailable, primary, get, checkAll, start, stop, getState };
+}
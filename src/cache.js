@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+// --- Response cache: replies to repeated requests, kept in an in-memory LRU and optionally on disk ---
+// RESPONSE_CACHE = { "enabled": true, "maxEntries": 500, "ttlMs": 3600000, "dir": "" }
+// With `dir` set every entry is also written there as <key>.json, so the cache survives a restart and can
+// hold more than `maxEntries` replies; the in-memory LRU keeps the most recently used ones.
+
+export const DEFAULT_CACHE_MAX_ENTRIES = 500;
+export const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+// How often expired entries are deleted from `dir`.
+const DISK_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const log = createLogger('Cache');
+
+/**
+ * JSON with object keys sorted, so equal values give equal text whatever order their keys were sent in.
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map((item) => stableStringify(item ?? null)).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter((name) => value[name] !== undefined)
+            .map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache key (a SHA-256 hex digest) for the normalized parts of a request.
+ */
+export function hashCacheKey(value) {
+    return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * How a request's Cache-Control header lets it use the cache: `read` is false for `no-cache` and
+ * `no-store`, `write` is false for `no-store`.
+ */
+export function cacheDirectives(cacheControl) {
+    const directives = String(cacheControl || '').toLowerCase().split(',').map((d) => d.trim());
+    const noStore = directives.includes('no-store');
+    return { read: !noStore && !directives.includes('no-cache'), write: !noStore };
+}
+
+/**
+ * `get(key)` returns the value stored under `key` within the last `ttlMs`, or null; `set(key, value)`
+ * stores a JSON-serializable value. `clear()` empties the memory and disk stores. `start()` begins
+ * deleting expired files from `dir`.
+ */
+export function createResponseCache(options = {}) {
+    const enabled = options.enabled === true;
+    const maxEntries = Math.max(1, Number(options.maxEntries) || DEFAULT_CACHE_MAX_ENTRIES);
+    const ttlMs = Math.max(1000, Number(options.ttlMs) || DEFAULT_CACHE_TTL_MS);
+    const dir = enabled && options.dir ? options.dir : '';
+    // Map order is recency order: a hit moves its entry to the end, and eviction takes from the front.
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, stores: 0 };
+    let sweepTimer = null;
+
+    const isValidKey = (key) => /^[a-f0-9]{64}$/.test(key);
+    const filePathFor = (key) => path.join(dir, `${key}.json`);
+    const isFresh = (entry) => Date.now() - entry.storedAt <= ttlMs;
+
+    const remember = (key, entry) => {
+        entries.delete(key);
+        entries.set(key, entry);
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    };
+
+    const readFile = (key) => {
+        try {
+            const entry = JSON.parse(fs.readFileSync(filePathFor(key), 'utf8'));
+            if (!Number.isFinite(entry?.storedAt) || entry.value === undefined) throw new Error('unexpected file format');
+            return entry;
+        } catch (e) {
+            if (e.code !== 'ENOENT') log.error('Ignoring cache file', { file: filePathFor(key), error: e.message });
+            return null;
+        }
+    };
+
+    const writeFile = (key, entry) => {
+        const filePath = filePathFor(key);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify(entry));
+            fs.renameSync(tmpPath, filePath);
+        } catch (e) {
+            log.error('Failed to write cache file', { file: filePath, error: e.message });
+        }
+    };
+
+    const removeFile = (key) => {
+        try {
+            fs.rmSync(filePathFor(key), { force: true });
+        } catch (e) {
+            log.error('Failed to delete cache file', { file: filePathFor(key), error: e.message });
+        }
+    };
+
+    const get = (key) => {
+        if (!enabled || !isValidKey(key)) return null;
+        let entry = entries.get(key) || null;
+        if (!entry && dir) entry = readFile(key);
+        if (entry && !isFresh(entry)) {
+            entries.delete(key);
+            if (dir) removeFile(key);
+            entry = null;
+        }
+        if (!entry) {
+            stats.misses += 1;
+            return null;
+        }
+        remember(key, entry);
+        stats.hits += 1;
+        return entry.value;
+    };
+
+    const set = (key, value) => {
+        if (!enabled || !isValidKey(key)) return;
+        const entry = { storedAt: Date.now(), value };
+        remember(key, entry);
+        if (dir) writeFile(key, entry);
+        stats.stores += 1;
+    };
+
+    const listFiles = () => {
+        try {
+            return fs.readdirSync(dir).filter((name) => /^[a-f0-9]{64}\.json$/.test(name));
+        } catch (e) {
+            if (e.code !== 'ENOENT') log.error('Failed to list cache directory', { dir, error: e.message });
+            return [];
+        }
+    };
+
+    /**
+     * Delete the files in `dir` older than `ttlMs`; their modification time is when they were stored.
+     */
+    const sweepDisk = () => {
+        let removed = 0;
+        listFiles().forEach((name) => {
+            try {
+                const filePath = path.join(dir, name);
+                if (Date.now() - fs.statSync(filePath).mtimeMs > ttlMs) {
+                    fs.rmSync(filePath, { force: true });
+                    removed += 1;
+                }
+            } catch (e) {
+                if (e.code !== 'ENOENT') log.error('Failed to sweep cache file', { file: name, error: e.message });
+            }
+        });
+        if (removed) log.debug('Expired cache files deleted', { removed });
+        return removed;
+    };
+
+    const clear = () => {
+        const cleared = { entries: entries.size, files: 0 };
+        entries.clear();
+        if (dir) {
+            const files = listFiles();
+            files.forEach((name) => removeFile(name.slice(0, -'.json'.length)));
+            cleared.files = files.length;
+        }
+        return cleared;
+    };
+
+    const start = () => {
+        if (!dir || sweepTimer) return;
+        sweepDisk();
+        sweepTimer = setInterval(sweepDisk, DISK_SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    };
+
+    const stop = () => {
+        if (sweepTimer) clearInterval(sweepTimer);
+        sweepTimer = null;
+    };
+
+    const getState = () => ({
+        enabled,
+        entries: entries.size,
+        maxEntries,
+        ttlMs,
+        dir: dir || null,
+        diskEntries: dir ? listFiles().length : 0,
+        ...stats
+    });
+
+    return { enabled, get, set, clear, start, stop, getState };
+}
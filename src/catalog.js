@@ -0,0 +1,128 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+// --- Model catalog: last-known-good OpenCode provider list, persisted to disk ---
+
+export const DEFAULT_MODEL_CATALOG_FILE = path.join(os.homedir(), '.cache', 'opencode-to-openai', 'model-catalog.json');
+export const DEFAULT_MODEL_CATALOG_REFRESH_MS = 5 * 60 * 1000;
+// After a failed fetch, requests are served from the last known catalog (or, without one, answered with
+// none) for this long before retrying.
+const FAILED_REFRESH_RETRY_MS = 10 * 1000;
+
+const log = createLogger('Models');
+
+/**
+ * Keeps the last provider list `fetchProviders()` returned and writes it to `filePath` (an empty path
+ * keeps it in memory only), so the models stay listable while the backend is unreachable — including
+ * right after a restart. `get()` answers { providers, fetchedAt, stale }, where `stale` means the latest
+ * fetch failed, or null when no catalog has ever been fetched. `has(providerID, modelID)` tells, without
+ * fetching, whether the last known catalog lists a model. `start()` refreshes it every
+ * `refreshIntervalMs` so it follows models being added to or removed from OpenCode.
+ */
+export function createModelCatalog(options) {
+    const { fetchProviders } = options;
+    const filePath = options.filePath ?? DEFAULT_MODEL_CATALOG_FILE;
+    const refreshIntervalMs = Number(options.refreshIntervalMs ?? DEFAULT_MODEL_CATALOG_REFRESH_MS);
+
+    let catalog = null;
+    let lastError = null;
+    let refreshing = null;
+    let refreshTimer = null;
+
+    const load = () => {
+        if (!filePath) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!Array.isArray(saved?.providers) || !Number.isFinite(saved.fetchedAt)) {
+                throw new Error('unexpected file format');
+            }
+            catalog = { providers: saved.providers, fetchedAt: saved.fetchedAt };
+            log.info('Loaded model catalog', { file: filePath, fetchedAt: new Date(saved.fetchedAt).toISOString() });
+        } catch (e) {
+            if (e.code !== 'ENOENT') log.error('Ignoring model catalog file', { file: filePath, error: e.message });
+        }
+    };
+
+    const save = () => {
+        if (!filePath) return;
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify(catalog));
+            fs.renameSync(tmpPath, filePath);
+        } catch (e) {
+            log.error('Failed to save model catalog', { file: filePath, error: e.message });
+        }
+    };
+
+    const runRefresh = async () => {
+        try {
+            const providers = await fetchProviders();
+            catalog = { providers, fetchedAt: Date.now() };
+            lastError = null;
+            save();
+            return catalog;
+        } catch (e) {
+            lastError = { message: e.message, at: Date.now() };
+            throw e;
+        }
+    };
+
+    /**
+     * Fetch the provider list now; concurrent calls share the same fetch.
+     */
+    const refresh = () => {
+        if (!refreshing) {
+            refreshing = runRefresh().finally(() => {
+                refreshing = null;
+            });
+        }
+        return refreshing;
+    };
+
+    /**
+     * The catalog, refetched when it is older than `maxAgeMs` (0 always refetches). While the backend is
+     * failing the last known catalog is returned marked stale, or null when there is none, and refetches
+     * are spaced out.
+     */
+    const get = async (maxAgeMs = 0) => {
+        const now = Date.now();
+        if (catalog && !lastError && now - catalog.fetchedAt < maxAgeMs) return { ...catalog, stale: false };
+        if (lastError && now - lastError.at < FAILED_REFRESH_RETRY_MS) return catalog ? { ...catalog, stale: true } : null;
+        try {
+            return { ...(await refresh()), stale: false };
+        } catch (e) {
+            log.debug('Model catalog fetch failed', { error: e.message, cached: Boolean(catalog) });
+            return catalog ? { ...catalog, stale: true } : null;
+        }
+    };
+
+    const has = (providerID, modelID) => Boolean(catalog?.providers.some((p) => p.id === providerID && p.models?.[modelID]));
+
+    const start = () => {
+        if (refreshTimer || !(refreshIntervalMs > 0)) return;
+        refreshTimer = setInterval(() => {
+            refresh().catch((e) => log.debug('Model catalog refresh failed', { error: e.message }));
+        }, refreshIntervalMs);
+        if (refreshTimer.unref) refreshTimer.unref();
+    };
+
+    const stop = () => {
+        if (refreshTimer) clearInterval(refreshTimer);
+        refreshTimer = null;
+    };
+
+    const getState = () => ({
+        filePath: filePath || null,
+        refreshIntervalMs,
+        fetchedAt: catalog ? new Date(catalog.fetchedAt).toISOString() : null,
+        providers: catalog ? catalog.providers.length : 0,
+        stale: Boolean(catalog && lastError),
+        lastError: lastError ? { message: lastError.message, at: new Date(lastError.at).toISOString() } : null
+    });
+
+    load();
+    return { get, has, refresh, start, stop, getState };
+}
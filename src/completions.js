@@ -0,0 +1,41 @@
+import { HttpError } from './errors.js';
+
+// --- Legacy text completions (/v1/completions) mapped onto OpenCode prompts ---
+
+// Upper bound on prompts x n, since every choice runs in its own OpenCode session.
+export const MAX_COMPLETION_CHOICES = 16;
+
+const CONTINUE_INSTRUCTIONS = 'You are a raw text completion engine. Continue the text inside <text> from exactly where it ends. ' +
+    'Output only the continuation: do not repeat the given text, do not add explanations or commentary, and do not wrap the output in code fences or tags.';
+const INSERT_INSTRUCTIONS = 'You are a raw text completion engine filling in the middle of a document. ' +
+    'Output only the text that belongs between the end of <prefix> and the start of <suffix>, so that prefix + output + suffix reads as one continuous text. ' +
+    'Do not repeat either part, do not add explanations or commentary, and do not wrap the output in code fences or tags.';
+
+/**
+ * Normalize `prompt` (a string or an array of strings) into a list of prompts.
+ */
+export function normalizeCompletionPrompts(prompt) {
+    if (typeof prompt === 'string') return [prompt];
+    if (Array.isArray(prompt) && prompt.length) {
+        if (prompt.every((p) => typeof p === 'string')) return prompt;
+        throw new HttpError(400, 'Token array prompts are not supported; send prompt as a string or an array of strings', 'invalid_request_error', 'invalid_prompt');
+    }
+    throw new HttpError(400, 'prompt must be a string or a non-empty array of strings', 'invalid_request_error', 'invalid_prompt');
+}
+
+/**
+ * Build the system instructions and prompt parts that make a chat model behave like a completion model.
+ * With `suffix`, the model is asked for the text between prompt and suffix (fill-in-the-middle).
+ */
+export function buildCompletionPrompt(prompt, suffix = null) {
+    if (suffix) {
+        return {
+            system: INSERT_INSTRUCTIONS,
+            parts: [{ type: 'text', text: `<prefix>${prompt}</prefix>\n<suffix>${suffix}</suffix>` }]
+        };
+    }
+    return {
+        system: CONTINUE_INSTRUCTIONS,
+        parts: [{ type: 'text', text: `<text>${prompt}</text>` }]
+    };
+}
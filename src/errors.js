@@ -0,0 +1,34 @@
+/**
+ * Error carrying the HTTP status (and OpenAI-style error type) the route handlers should respond with.
+ */
+export class HttpError extends Error {
+    constructor(statusCode, message, type = 'invalid_request_error', code = undefined) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.type = type;
+        this.code = code;
+    }
+}
+
+/**
+ * Write an HttpError as an OpenAI-style error response, including any headers it carries (e.g. Retry-After).
+ */
+export function sendHttpError(res, error) {
+    if (error.headers) {
+        Object.entries(error.headers).forEach(([name, value]) => res.setHeader(name, value));
+    }
+    res.status(error.statusCode).json({
+        error: { message: error.message, type: error.type, code: error.code }
+    });
+}
+
+/**
+ * The HTTP client went away before the request finished.
+ */
+export class RequestCancelledError extends Error {
+    constructor(message = 'Request cancelled by client') {
+        super(message);
+        this.name = 'RequestCancelledError';
+    }
+}
@@ -0,0 +1,185 @@
+import { HttpError } from './errors.js';
+
+// --- Generation controls the proxy emulates on top of OpenCode: stop, max_tokens and n ---
+
+export const MAX_STOP_SEQUENCES = 4;
+export const MAX_CHOICES = 8;
+
+// OpenCode's prompt API has no per-request sampling settings, so these are accepted but cannot be honored.
+export const UNSUPPORTED_SAMPLING_PARAMS = [
+    'temperature',
+    'top_p',
+    'presence_penalty',
+    'frequency_penalty',
+    'top_k',
+    'seed',
+    'logit_bias',
+    'logprobs',
+    'top_logprobs'
+];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate the generation parameters of a chat request.
+ * Returns { stop, maxTokens, n, ignored } where `ignored` lists sampling parameters that were sent but
+ * cannot be applied; with `strict` those are rejected instead.
+ */
+export function parseGenerationOptions(body = {}, { strict = false } = {}) {
+    let stop = [];
+    if (typeof body.stop === 'string') {
+        stop = [body.stop];
+    } else if (Array.isArray(body.stop)) {
+        if (body.stop.some((s) => typeof s !== 'string')) {
+            throw new HttpError(400, 'stop must be a string or an array of strings', 'invalid_request_error', 'invalid_stop');
+        }
+        stop = body.stop;
+    } else if (body.stop !== undefined && body.stop !== null) {
+        throw new HttpError(400, 'stop must be a string or an array of strings', 'invalid_request_error', 'invalid_stop');
+    }
+    stop = stop.filter(Boolean);
+    if (stop.length > MAX_STOP_SEQUENCES) {
+        throw new HttpError(400, `stop accepts at most ${MAX_STOP_SEQUENCES} sequences`, 'invalid_request_error', 'invalid_stop');
+    }
+
+    // max_completion_tokens supersedes the deprecated max_tokens.
+    const rawMax = body.max_completion_tokens ?? body.max_tokens ?? null;
+    if (rawMax !== null && !isPositiveInteger(rawMax)) {
+        throw new HttpError(400, 'max_tokens must be a positive integer', 'invalid_request_error', 'invalid_max_tokens');
+    }
+
+    const n = body.n ?? 1;
+    if (!isPositiveInteger(n) || n > MAX_CHOICES) {
+        throw new HttpError(400, `n must be an integer between 1 and ${MAX_CHOICES}`, 'invalid_request_error', 'invalid_n');
+    }
+
+    const ignored = UNSUPPORTED_SAMPLING_PARAMS.filter((name) => body[name] !== undefined && body[name] !== null && body[name] !== false);
+    if (strict && ignored.length) {
+        throw new HttpError(400, `Unsupported parameter(s) for the OpenCode backend: ${ignored.join(', ')}`, 'invalid_request_error', 'unsupported_parameter');
+    }
+
+    return { stop, maxTokens: rawMax, n, ignored };
+}
+
+// CJK scripts run close to one token per character; other text averages about four characters per token.
+const WIDE_CHAR = /[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/;
+const charTokens = (ch) => (WIDE_CHAR.test(ch) ? 1 : 0.25);
+
+/**
+ * Rough token count used to enforce max_tokens without a tokenizer for every provider.
+ */
+export function estimateTokens(text) {
+    let total = 0;
+    for (const ch of text || '') total += charTokens(ch);
+    return Math.ceil(total);
+}
+
+/**
+ * Length of the longest tail of `text` that could be the start of one of `stops`.
+ */
+function partialStopLength(text, stops) {
+    let longest = 0;
+    stops.forEach((stop) => {
+        for (let k = Math.min(stop.length - 1, text.length); k > longest; k -= 1) {
+            if (text.endsWith(stop.slice(0, k))) {
+                longest = k;
+                break;
+            }
+        }
+    });
+    return longest;
+}
+
+/**
+ * Stream filter that cuts generated text at the first stop sequence (even when it spans several deltas)
+ * or once the estimated token budget is spent. `push` returns the text that may be emitted; text that might
+ * begin a stop sequence is held back until the next delta or `flush`. After it trips, `done` is true and
+ * `finishReason` is 'stop' (with the matched `stopSequence`) or 'length'.
+ */
+export function createOutputLimiter({ stop = [], maxTokens = null } = {}) {
+    let held = '';
+    let usedTokens = 0;
+    let finishReason = null;
+    let stopSequence = null;
+
+    const applyBudget = (text) => {
+        if (!maxTokens || !text) return text;
+        let cost = 0;
+        for (let i = 0; i < text.length; i += 1) {
+            const next = cost + charTokens(text[i]);
+            if (usedTokens + next > maxTokens) {
+                usedTokens = maxTokens;
+                finishReason = 'length';
+                return text.slice(0, i);
+            }
+            cost = next;
+        }
+        usedTokens += cost;
+        return text;
+    };
+
+    const push = (chunk) => {
+        if (finishReason || !chunk) return '';
+        let text = held + chunk;
+        held = '';
+        if (stop.length) {
+            let cut = -1;
+            let matched = null;
+            stop.forEach((s) => {
+                const idx = text.indexOf(s);
+                if (idx !== -1 && (cut === -1 || idx < cut)) {
+                    cut = idx;
+                    matched = s;
+                }
+            });
+            if (cut !== -1) {
+                const emitted = applyBudget(text.slice(0, cut));
+                if (!finishReason) {
+                    finishReason = 'stop';
+                    stopSequence = matched;
+                }
+                return emitted;
+            }
+            const keep = partialStopLength(text, stop);
+            if (keep) {
+                held = text.slice(text.length - keep);
+                text = text.slice(0, text.length - keep);
+            }
+        }
+        return applyBudget(text);
+    };
+
+    const flush = () => {
+        if (finishReason) return '';
+        const text = held;
+        held = '';
+        return applyBudget(text);
+    };
+
+    return {
+        push,
+        flush,
+        get done() {
+            return finishReason !== null;
+        },
+        get finishReason() {
+            return finishReason;
+        },
+        get stopSequence() {
+            return stopSequence;
+        }
+    };
+}
+
+/**
+ * Pick the OpenAI finish_reason for a choice. A truncated reply reports 'length' even if it carried tool
+ * calls; otherwise tool calls win, then the proxy's own stop, then what OpenCode reported.
+ */
+export function resolveFinishReason({ limitReason = null, toolCallCount = 0, info = null } = {}) {
+    if (limitReason === 'length') return 'length';
+    if (toolCallCount > 0) return 'tool_calls';
+    if (limitReason === 'stop') return 'stop';
+    if (info?.error?.name === 'MessageOutputLengthError' || info?.finish === 'length') return 'length';
+    if (info?.finish === 'content-filter') return 'content_filter';
+    return 'stop';
+}
@@ -0,0 +1,113 @@
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import crypto from 'crypto';
+import util from 'util';
+
+// --- Leveled logging, as text lines or JSON lines, tagged with the current request ---
+// LOG_LEVEL is debug, info (default), warn or error; LOG_FORMAT is text (default) or json. Inside a request
+// (see runWithRequestContext) every line carries its request ID, API key name and the OpenCode session ID(s)
+// it is using.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const LEVEL_TAGS = { debug: '[Debug]', info: '', warn: '[Warn]', error: '[Error]' };
+
+const isTruthy = (value) => ['1', 'true'].includes(String(value || '').toLowerCase());
+
+const settings = {
+    level: LOG_LEVELS.includes(process.env.OPENCODE_PROXY_LOG_LEVEL)
+        ? process.env.OPENCODE_PROXY_LOG_LEVEL
+        : isTruthy(process.env.OPENCODE_PROXY_DEBUG) ? 'debug' : 'info',
+    format: LOG_FORMATS.includes(process.env.OPENCODE_PROXY_LOG_FORMAT) ? process.env.OPENCODE_PROXY_LOG_FORMAT : 'text'
+};
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Set the level and format for every logger; unknown values leave the current setting alone.
+ */
+export function configureLogger({ level, format } = {}) {
+    if (LOG_LEVELS.includes(level)) settings.level = level;
+    if (LOG_FORMATS.includes(format)) settings.format = format;
+}
+
+function isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+}
+
+export function createRequestId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Run `fn` with `context` ({ requestId, key, sessionIds }) as the current request. `key` and `sessionIds` may
+ * be filled in later; lines logged afterwards pick them up.
+ */
+export function runWithRequestContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+export function getRequestContext() {
+    return requestContext.getStore() || null;
+}
+
+/**
+ * `fn` bound to the current request, for callbacks that another request's work ends up running (e.g. a
+ * queued task started when the request ahead of it finishes).
+ */
+export function bindRequestContext(fn) {
+    return AsyncResource.bind(fn);
+}
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.statusCode !== undefined) serialized.statusCode = error.statusCode;
+    if (isLevelEnabled('debug') && error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+function normalizeFields(fields) {
+    const normalized = {};
+    Object.entries(fields || {}).forEach(([name, value]) => {
+        if (value === undefined) return;
+        normalized[name] = value instanceof Error ? serializeError(value) : value;
+    });
+    return normalized;
+}
+
+function contextFields() {
+    const context = requestContext.getStore();
+    if (!context) return {};
+    const fields = { requestId: context.requestId };
+    if (context.key) fields.key = context.key;
+    const sessionIds = context.sessionIds || [];
+    if (sessionIds.length) fields.sessionId = sessionIds.length === 1 ? sessionIds[0] : sessionIds.join(',');
+    return fields;
+}
+
+function write(level, component, message, fields) {
+    if (!isLevelEnabled(level)) return;
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    const data = { ...contextFields(), ...normalizeFields(fields) };
+    if (settings.format === 'json') {
+        stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, component, msg: message, ...data })}\n`);
+        return;
+    }
+    const details = Object.keys(data).length ? ` ${util.inspect(data, { breakLength: Infinity, depth: 4 })}` : '';
+    stream.write(`[${component}]${LEVEL_TAGS[level]} ${message}${details}\n`);
+}
+
+/**
+ * Logger for one part of the proxy (its `component`, shown as the [Proxy]-style prefix in text mode). Each
+ * method takes a message and optional fields; Error values in the fields are reduced to name, message and
+ * code (plus the stack at debug level).
+ */
+export function createLogger(component) {
+    return {
+        debug: (message, fields) => write('debug', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        error: (message, fields) => write('error', component, message, fields)
+    };
+}
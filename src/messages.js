@@ -0,0 +1,193 @@
+import axios from 'axios';
+import dns from 'dns';
+import net from 'net';
+import { HttpError } from './errors.js';
+import { createLogger } from './logger.js';
+import { formatToolCallsMarkup } from './tools.js';
+
+// --- OpenAI message -> OpenCode prompt part conversion ---
+
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+// Addresses a downloaded image may not come from: private, loopback, link-local (incl. cloud metadata),
+// carrier-grade NAT, multicast and reserved ranges.
+const BLOCKED_IMAGE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_IMAGE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]
+    .forEach(([prefix, bits]) => BLOCKED_IMAGE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const log = createLogger('Images');
+
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/bmp': 'bmp',
+    'image/svg+xml': 'svg'
+};
+
+export function normalizeMessageContent(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map((part) => {
+            if (typeof part === 'string') return part;
+            if (part && typeof part.text === 'string') return part.text;
+            return '';
+        }).join('');
+    }
+    if (content && typeof content.text === 'string') return content.text;
+    if (content === null || content === undefined) return '';
+    if (typeof content === 'number' || typeof content === 'boolean') return String(content);
+    return '';
+}
+
+function guessImageMime(url) {
+    const ext = (url.split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+    const found = Object.entries(IMAGE_EXTENSIONS).find(([, e]) => e === ext || (ext === 'jpeg' && e === 'jpg'));
+    return found ? found[0] : 'image/png';
+}
+
+/**
+ * Convert an OpenAI `image_url` value (string or { url }) into an OpenCode file part.
+ * Remote URLs are passed to OpenCode as-is, unless FETCH_REMOTE_IMAGES has `resolveRemoteImages` download them.
+ */
+export function toImageFilePart(imageUrl, index = 0) {
+    const url = typeof imageUrl === 'string' ? imageUrl : imageUrl?.url;
+    if (typeof url !== 'string' || !url) {
+        throw new HttpError(400, 'image_url part is missing a url');
+    }
+    const dataMatch = /^data:([^;,]+)[;,]/i.exec(url);
+    if (dataMatch) {
+        const mime = dataMatch[1].toLowerCase();
+        return { type: 'file', mime, filename: `image-${index + 1}.${IMAGE_EXTENSIONS[mime] || 'bin'}`, url };
+    }
+    if (/^https?:\/\//i.test(url)) {
+        const mime = guessImageMime(url);
+        return { type: 'file', mime, filename: `image-${index + 1}.${IMAGE_EXTENSIONS[mime]}`, url };
+    }
+    throw new HttpError(400, 'image_url must be a data URL or an http(s) URL');
+}
+
+function extractImageUrls(content) {
+    if (!Array.isArray(content)) return [];
+    return content
+        .filter((part) => part && part.type === 'image_url')
+        .map((part) => part.image_url);
+}
+
+/**
+ * Flatten OpenAI chat messages into role-labelled OpenCode text parts, followed by each message's images.
+ * Messages before `fromIndex` are already in the OpenCode session: they still contribute the system
+ * prompt and tool call names, but produce no parts.
+ */
+export function buildPromptParts(rawMessages, fromIndex = 0) {
+    const parts = [];
+    const systemChunks = [];
+    const userContents = [];
+    const toolNames = new Map();
+    let imageCount = 0;
+    rawMessages.forEach((m, index) => {
+        const role = (m?.role || 'user').toLowerCase();
+        let content = normalizeMessageContent(m?.content);
+        if (role === 'system' || role === 'developer') {
+            if (content) systemChunks.push(content);
+            return;
+        }
+        if (role === 'assistant' && Array.isArray(m?.tool_calls) && m.tool_calls.length) {
+            m.tool_calls.forEach((call) => {
+                if (call?.id) toolNames.set(call.id, call.function?.name);
+            });
+            const markup = formatToolCallsMarkup(m.tool_calls);
+            content = content ? `${content}\n${markup}` : markup;
+        }
+        if (index < fromIndex) return;
+        if (role === 'tool' || role === 'function') {
+            if (!content) return;
+            const callId = m?.tool_call_id || '';
+            const fnName = m?.name || toolNames.get(callId) || '';
+            const label = [fnName, callId].filter(Boolean).join(', ');
+            parts.push({
+                type: 'text',
+                text: `TOOL${label ? `(${label})` : ''}: ${content}`
+            });
+            return;
+        }
+        const images = extractImageUrls(m?.content).map((img) => toImageFilePart(img, imageCount++));
+        if (!content && !images.length) return;
+        if (role === 'user' && content) userContents.push(content);
+        const roleLabel = role.toUpperCase();
+        const nameSuffix = m?.name ? `(${m.name})` : '';
+        parts.push({
+            type: 'text',
+            text: content ? `${roleLabel}${nameSuffix}: ${content}` : `${roleLabel}${nameSuffix}:`
+        });
+        parts.push(...images);
+    });
+    return {
+        parts,
+        system: systemChunks.join('\n\n'),
+        lastUserMsg: userContents[userContents.length - 1] || '',
+        imageCount
+    };
+}
+
+function isBlockedAddress(address) {
+    return BLOCKED_IMAGE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for image downloads that refuses blocked addresses. It runs when the connection is made, so the
+ * address that was checked is the one connected to.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new Error(`${hostname} resolves to a blocked address`));
+        }
+        return callback(null, addresses);
+    });
+}
+
+/**
+ * Download http(s) image parts and inline them as data URLs (FETCH_REMOTE_IMAGES), for backends that cannot
+ * reach the network. Only public addresses are fetched, redirects are not followed, and failures are
+ * reported without details so the endpoint cannot be used to probe other hosts.
+ */
+export async function resolveRemoteImages(parts) {
+    return Promise.all(parts.map(async (part) => {
+        if (part.type !== 'file' || !/^https?:\/\//i.test(part.url)) return part;
+        let res;
+        try {
+            // IP literals never reach the lookup.
+            const { hostname } = new URL(part.url);
+            const literal = hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(literal) && isBlockedAddress(literal)) throw new Error(`${literal} is a blocked address`);
+            res = await axios.get(part.url, {
+                responseType: 'arraybuffer',
+                timeout: IMAGE_FETCH_TIMEOUT_MS,
+                maxContentLength: MAX_IMAGE_BYTES,
+                maxRedirects: 0,
+                proxy: false,
+                lookup: lookupPublicAddress
+            });
+        } catch (e) {
+            log.warn('Image download failed', { url: part.url, error: e.message });
+            throw new HttpError(400, 'Failed to fetch image_url', 'invalid_request_error', 'image_fetch_failed');
+        }
+        const headerMime = String(res.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const mime = headerMime.startsWith('image/') ? headerMime : part.mime;
+        const data = Buffer.from(res.data).toString('base64');
+        return {
+            ...part,
+            mime,
+            filename: part.filename.replace(/\.[^.]+$/, `.${IMAGE_EXTENSIONS[mime] || 'bin'}`),
+            url: `data:${mime};base64,${data}`
+        };
+    }));
+}
@@ -0,0 +1,105 @@
+import { createLogger } from './logger.js';
+
+// --- Prometheus metrics: counters, histograms and scrape-time gauges in the text exposition format ---
+
+// Request latency buckets, in seconds (free models can take minutes).
+export const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const log = createLogger('Metrics');
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * A metric registry. `counter()` and `histogram()` return series updated as things happen (`inc(labels, n)`,
+ * `observe(labels, seconds)`); `gauge(name, help, collect)` reads its value when scraped, where `collect()`
+ * returns a number or a list of { labels, value }. `render()` produces the /metrics response body.
+ */
+export function createMetrics() {
+    const metrics = [];
+
+    const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+    const counter = (name, help) => {
+        const series = new Map();
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+        });
+        return {
+            inc: (labels = {}, value = 1) => {
+                const key = seriesKey(labels);
+                if (!series.has(key)) series.set(key, { labels, value: 0 });
+                series.get(key).value += value;
+            }
+        };
+    };
+
+    const histogram = (name, help, buckets = LATENCY_BUCKETS) => {
+        const series = new Map();
+        metrics.push({
+            name,
+            help,
+            type: 'histogram',
+            lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${counts[i]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+                `${name}_count${formatLabels(labels)} ${count}`
+            ])
+        });
+        return {
+            observe: (labels, value) => {
+                if (!Number.isFinite(value)) return;
+                const key = seriesKey(labels);
+                if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const entry = series.get(key);
+                buckets.forEach((le, i) => {
+                    if (value <= le) entry.counts[i] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            }
+        };
+    };
+
+    const gauge = (name, help, collect, type = 'gauge') => {
+        metrics.push({
+            name,
+            help,
+            type,
+            lines: () => {
+                const value = collect();
+                const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+                return samples.map((sample) => `${name}${formatLabels(sample.labels || {})} ${formatValue(Number(sample.value))}`);
+            }
+        });
+    };
+
+    const render = () => metrics.map((metric) => {
+        let lines;
+        try {
+            lines = metric.lines();
+        } catch (e) {
+            log.error('Failed to collect metric', { metric: metric.name, error: e.message });
+            lines = [];
+        }
+        return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+    }).join('\n') + '\n';
+
+    return { counter, histogram, gauge, render };
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { HttpError } from './errors.js';
+
+// --- Ollama API (/api/*) on top of the chat prompt flow ---
+
+/**
+ * Ollama clients address models as `name:tag`; OpenCode models have no tags, so `:latest` is dropped.
+ */
+export function fromOllamaModelName(name) {
+    if (typeof name !== 'string' || !name) {
+        throw new HttpError(400, 'model is required', 'invalid_request_error', 'invalid_model');
+    }
+    return name.endsWith(':latest') ? name.slice(0, -':latest'.length) : name;
+}
+
+const IMAGE_SIGNATURES = [
+    ['iVBORw0KGgo', 'image/png'],
+    ['/9j/', 'image/jpeg'],
+    ['R0lGOD', 'image/gif'],
+    ['UklGR', 'image/webp'],
+    ['Qk', 'image/bmp']
+];
+
+/**
+ * Ollama sends images as bare base64 strings; wrap them in a data URL with the type their header indicates.
+ */
+export function toImageDataUrl(image) {
+    if (typeof image !== 'string' || !image) {
+        throw new HttpError(400, 'images must be base64-encoded strings');
+    }
+    if (image.startsWith('data:')) return image;
+    const found = IMAGE_SIGNATURES.find(([prefix]) => image.startsWith(prefix));
+    return `data:${found ? found[1] : 'image/png'};base64,${image}`;
+}
+
+/**
+ * Chat message content for Ollama text plus `images`.
+ */
+export function ollamaContent(text, images) {
+    if (!Array.isArray(images) || !images.length) return text || '';
+    const parts = text ? [{ type: 'text', text }] : [];
+    images.forEach((image) => parts.push({ type: 'image_url', image_url: { url: toImageDataUrl(image) } }));
+    return parts;
+}
+
+function toolArguments(args) {
+    return typeof args === 'string' ? args : JSON.stringify(args ?? {});
+}
+
+/**
+ * Convert Ollama chat messages (with `images`, object-valued tool call arguments and `tool_name` on tool
+ * results) into chat messages.
+ */
+export function ollamaToChatMessages(messages) {
+    if (!Array.isArray(messages) || !messages.length) {
+        throw new HttpError(400, 'messages array is required');
+    }
+    return messages.map((m) => {
+        const role = m?.role || 'user';
+        const message = { role, content: ollamaContent(m?.content, m?.images) };
+        if (role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length) {
+            message.tool_calls = m.tool_calls.map((call) => ({
+                id: call.id || `call_${crypto.randomBytes(8).toString('hex')}`,
+                type: 'function',
+                function: { name: call.function?.name, arguments: toolArguments(call.function?.arguments) }
+            }));
+        }
+        if (role === 'tool') {
+            if (m.tool_name) message.name = m.tool_name;
+            if (m.tool_call_id) message.tool_call_id = m.tool_call_id;
+        }
+        return message;
+    });
+}
+
+/**
+ * Map Ollama `options` (num_predict, stop, temperature, ...) onto chat generation parameters.
+ * A negative num_predict means no limit.
+ */
+export function ollamaGenerationBody(options) {
+    const opts = options && typeof options === 'object' ? options : {};
+    return {
+        stop: opts.stop,
+        max_tokens: typeof opts.num_predict === 'number' && opts.num_predict < 0 ? null : opts.num_predict,
+        temperature: opts.temperature,
+        top_p: opts.top_p,
+        top_k: opts.top_k,
+        seed: opts.seed,
+        presence_penalty: opts.presence_penalty,
+        frequency_penalty: opts.frequency_penalty
+    };
+}
+
+/**
+ * Map Ollama `format` ('json' or a JSON schema) onto a chat `response_format`.
+ */
+export function ollamaFormatToChat(format) {
+    if (format === undefined || format === null || format === '') return null;
+    if (format === 'json') return { type: 'json_object' };
+    if (typeof format === 'object' && !Array.isArray(format)) {
+        return { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+    }
+    throw new HttpError(400, 'format must be "json" or a JSON schema object', 'invalid_request_error', 'invalid_response_format');
+}
+
+/**
+ * Chat tool calls in the Ollama shape, with parsed arguments.
+ */
+export function toOllamaToolCalls(toolCalls) {
+    return toolCalls.map((call) => {
+        let args = {};
+        try {
+            args = JSON.parse(call.function.arguments || '{}');
+        } catch (e) {
+            // keep the empty object
+        }
+        return { function: { name: call.function.name, arguments: args } };
+    });
+}
+
+export function toOllamaDoneReason(finishReason) {
+    return finishReason === 'length' ? 'length' : 'stop';
+}
+
+/**
+ * Timing and token fields of a final Ollama response; durations are in nanoseconds.
+ * `usage` is a chat usage object.
+ */
+export function buildOllamaStats(usage, startedAt, firstTokenAt = null) {
+    const now = Date.now();
+    const evalStart = firstTokenAt || startedAt;
+    return {
+        total_duration: (now - startedAt) * 1e6,
+        load_duration: 0,
+        prompt_eval_count: usage.prompt_tokens,
+        prompt_eval_duration: (evalStart - startedAt) * 1e6,
+        eval_count: usage.completion_tokens,
+        eval_duration: (now - evalStart) * 1e6
+    };
+}
+
+function modelDetails(providerID) {
+    return {
+        parent_model: '',
+        format: '',
+        family: providerID,
+        families: [providerID],
+        parameter_size: '',
+        quantization_level: ''
+    };
+}
+
+/**
+ * A `/api/tags` entry. OpenCode models are remote, so size and digest are placeholders (the digest is stable per id).
+ */
+export function buildOllamaTag({ id, providerID, data }) {
+    const modifiedAt = data?.release_date ? new Date(data.release_date) : new Date(0);
+    return {
+        name: id,
+        model: id,
+        modified_at: Number.isNaN(modifiedAt.getTime()) ? new Date(0).toISOString() : modifiedAt.toISOString(),
+        size: 0,
+        digest: crypto.createHash('sha256').update(id).digest('hex'),
+        details: modelDetails(providerID)
+    };
+}
+
+/**
+ * The `/api/show` body for a model. `inputModalities` comes from the OpenCode model entry.
+ */
+export function buildOllamaShow({ id, providerID, data }, inputModalities) {
+    const capabilities = ['completion'];
+    if (data?.capabilities?.toolcall ?? data?.tool_call) capabilities.push('tools');
+    if (inputModalities.includes('image')) capabilities.push('vision');
+    if (data?.capabilities?.reasoning ?? data?.reasoning) capabilities.push('thinking');
+    const modelInfo = { 'general.architecture': providerID, 'general.basename': data?.name || id };
+    if (data?.limit?.context) modelInfo[`${providerID}.context_length`] = data.limit.context;
+    return {
+        license: '',
+        modelfile: '',
+        parameters: '',
+        template: '',
+        details: modelDetails(providerID),
+        model_info: modelInfo,
+        capabilities,
+        modified_at: buildOllamaTag({ id, providerID, data }).modified_at
+    };
+}
+
+/**
+ * Write an HttpError as an Ollama error response ({ error: message }).
+ */
+export function sendOllamaError(res, error) {
+    if (error.headers) {
+        Object.entries(error.headers).forEach(([name, value]) => res.setHeader(name, value));
+    }
+    res.status(error.statusCode).json({ error: error.message });
+}
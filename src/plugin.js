@@ -1,18 +1,47 @@
 import { startProxy } from './proxy.js';
+import { DEFAULT_MODEL_CATALOG_FILE } from './catalog.js';
+import { pickClientKey } from './apikeys.js';
+import { createLogger } from './logger.js';
 import axios from 'axios';
 
 const PROVIDER_ID = 'opencode-to-openai';
+const log = createLogger('Plugin');
 
 const DEFAULTS = {
     enabled: true,
     port: 8083,
     apiKey: '',
+    apiKeys: [],
+    apiKeysFile: '',
     backendUrl: 'http://127.0.0.1:4097',
     opencodePath: 'opencode',
     bindHost: '127.0.0.1',
     useIsolatedHome: false,
     disableTools: false,
+    maxConcurrent: 4,
+    maxQueueDepth: 100,
+    modelConcurrency: {},
+    modelRoutes: {},
+    rateLimit: {},
+    auditLog: {},
+    responseCache: {},
+    backendPool: {},
+    backendSupervisor: {},
+    sessionAffinity: true,
+    sessionAffinityTtlMs: 1800000,
+    sessionRetention: 'ttl',
+    sessionKeepCount: 50,
+    sessionTtlMs: 3600000,
+    sessionInstanceId: '',
+    strictParams: false,
+    fetchRemoteImages: false,
+    jsonMaxRetries: 2,
+    responseStoreTtlMs: 3600000,
+    modelCatalogFile: DEFAULT_MODEL_CATALOG_FILE,
+    modelCatalogRefreshMs: 300000,
     debug: false,
+    logLevel: '',
+    logFormat: 'text',
     writeAllowlist: true,
     setDefaultOnLogin: false,
     defaultModel: ''
@@ -36,15 +65,32 @@ function delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Used when the proxy does not know a model's limits.
+const FALLBACK_CONTEXT_WINDOW = 200000;
+const FALLBACK_MAX_TOKENS = 8192;
+
+// Model entries for the OpenClaw provider config, from the proxy's /v1/models objects.
 function normalizeModels(rawModels) {
     if (!Array.isArray(rawModels)) return [];
-    return rawModels.map((m) => ({
-        id: m.id,
-        name: m.name || m.id,
-        input: ['text'],
-        contextWindow: 200000,
-        maxTokens: 8192
-    }));
+    return rawModels.map((m) => {
+        const entry = {
+            id: m.id,
+            name: m.name || m.id,
+            reasoning: Boolean(m.capabilities?.reasoning),
+            input: Array.isArray(m.input_modalities) && m.input_modalities.includes('image') ? ['text', 'image'] : ['text'],
+            contextWindow: m.limits?.context || FALLBACK_CONTEXT_WINDOW,
+            maxTokens: m.limits?.output || FALLBACK_MAX_TOKENS
+        };
+        if (m.cost) {
+            entry.cost = {
+                input: m.cost.input || 0,
+                output: m.cost.output || 0,
+                cacheRead: m.cost.cache_read || 0,
+                cacheWrite: m.cost.cache_write || 0
+            };
+        }
+        return entry;
+    });
 }
 
 function resolveDefaultModel(requested, modelEntries) {
@@ -104,12 +150,37 @@ const plugin = {
                     proxyInstance = startProxy({
                         PORT: cfg.port,
                         API_KEY: cfg.apiKey,
+                        API_KEYS: cfg.apiKeys,
+                        API_KEYS_FILE: cfg.apiKeysFile,
                         OPENCODE_SERVER_URL: cfg.backendUrl,
                         OPENCODE_PATH: cfg.opencodePath,
                         BIND_HOST: cfg.bindHost,
                         USE_ISOLATED_HOME: cfg.useIsolatedHome,
                         DISABLE_TOOLS: cfg.disableTools,
-                        DEBUG: cfg.debug
+                        MAX_CONCURRENT_REQUESTS: cfg.maxConcurrent,
+                        MAX_QUEUE_DEPTH: cfg.maxQueueDepth,
+                        MODEL_CONCURRENCY: cfg.modelConcurrency,
+                        MODEL_ROUTES: cfg.modelRoutes,
+                        RATE_LIMIT: cfg.rateLimit,
+                        AUDIT_LOG: cfg.auditLog,
+                        RESPONSE_CACHE: cfg.responseCache,
+                        BACKEND_POOL: cfg.backendPool,
+                        BACKEND_SUPERVISOR: cfg.backendSupervisor,
+                        SESSION_AFFINITY: cfg.sessionAffinity,
+                        SESSION_AFFINITY_TTL_MS: cfg.sessionAffinityTtlMs,
+                        SESSION_RETENTION: cfg.sessionRetention,
+                        SESSION_KEEP_COUNT: cfg.sessionKeepCount,
+                        SESSION_TTL_MS: cfg.sessionTtlMs,
+                        SESSION_INSTANCE_ID: cfg.sessionInstanceId,
+                        STRICT_PARAMS: cfg.strictParams,
+                        FETCH_REMOTE_IMAGES: cfg.fetchRemoteImages,
+                        JSON_MAX_RETRIES: cfg.jsonMaxRetries,
+                        RESPONSE_STORE_TTL_MS: cfg.responseStoreTtlMs,
+                        MODEL_CATALOG_FILE: cfg.modelCatalogFile,
+                        MODEL_CATALOG_REFRESH_MS: cfg.modelCatalogRefreshMs,
+                        DEBUG: cfg.debug,
+                        LOG_LEVEL: cfg.logLevel,
+                        LOG_FORMAT: cfg.logFormat
                     });
 
                     for (let i = 0; i < 20; i += 1) {
@@ -133,6 +204,9 @@ const plugin = {
             return startedHere;
         };
 
+        // The key the plugin and OpenClaw call the proxy with: apiKey, or one of apiKeys / apiKeysFile.
+        const clientKey = () => pickClientKey({ apiKey: cfg.apiKey, keys: cfg.apiKeys, filePath: cfg.apiKeysFile });
+
         const fetchModels = async () => {
             const now = Date.now();
             if (cachedModels && now - cachedAt < 30000) return cachedModels;
@@ -141,12 +215,24 @@ const plugin = {
 
             try {
                 const headers = {};
-                if (cfg.apiKey) headers.Authorization = `Bearer ${cfg.apiKey}`;
-                const res = await axios.get(`${baseUrl}/models`, { headers, timeout: 8000 });
+                const key = clientKey();
+                if (key) headers.Authorization = `Bearer ${key}`;
+                let res;
+                try {
+                    res = await axios.get(`${baseUrl}/models`, { headers, timeout: 8000 });
+                } catch (err) {
+                    const message = err.response?.data?.error?.message;
+                    throw message ? new Error(`Proxy could not list models: ${message}`) : err;
+                }
                 const data = res.data?.data || [];
                 const models = normalizeModels(data);
-                cachedModels = models;
-                cachedAt = now;
+                // A stale list (OpenCode unreachable) is used once but not cached, so the next call retries.
+                if (res.data?.stale) {
+                    log.warn('OpenCode is unreachable; using the last known model list.');
+                } else {
+                    cachedModels = models;
+                    cachedAt = now;
+                }
                 return models;
             } finally {
                 if (startedHere && proxyInstance) {
@@ -193,7 +279,8 @@ const plugin = {
                             api: 'openai-completions',
                             models: modelEntries
                         };
-                        if (cfg.apiKey) providerConfig.apiKey = cfg.apiKey;
+                        const key = clientKey();
+                        if (key) providerConfig.apiKey = key;
 
                         const configPatch = {
                             models: {
@@ -218,7 +305,7 @@ const plugin = {
                             configPatch.agents.defaults.model = { ...existingModel, primary: defaultRef };
                         }
 
-                        const profileKey = cfg.apiKey || 'local';
+                        const profileKey = key || 'local';
                         const profileId = `${PROVIDER_ID}:local`;
                         const profiles = [
                             {
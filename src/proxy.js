@@ -8,17 +8,98 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import {
+    normalizeTools,
+    resolveToolChoice,
+    buildToolInstructions,
+    createToolCallStreamParser,
+    extractToolCalls
+} from './tools.js';
+import { buildPromptParts, resolveRemoteImages } from './messages.js';
+import { HttpError, RequestCancelledError, sendHttpError } from './errors.js';
+import { createRequestQueue, DEFAULT_MAX_CONCURRENT_REQUESTS, DEFAULT_MAX_QUEUE_DEPTH } from './queue.js';
+import { createSessionAffinity, DEFAULT_AFFINITY_MAX_ENTRIES, DEFAULT_AFFINITY_TTL_MS } from './affinity.js';
+import {
+    createSessionManager,
+    DEFAULT_SESSION_RETENTION,
+    DEFAULT_SESSION_KEEP_COUNT,
+    DEFAULT_SESSION_TTL_MS,
+    DEFAULT_SESSION_SWEEP_INTERVAL_MS
+} from './sessions.js';
+import {
+    parseGenerationOptions,
+    createOutputLimiter,
+    resolveFinishReason,
+    estimateTokens,
+    UNSUPPORTED_SAMPLING_PARAMS
+} from './generation.js';
+import {
+    resolveResponseFormat,
+    buildResponseFormatInstructions,
+    buildCorrectionPrompt,
+    checkStructuredOutput,
+    DEFAULT_JSON_MAX_RETRIES
+} from './structured.js';
+import { normalizeCompletionPrompts, buildCompletionPrompt, MAX_COMPLETION_CHOICES } from './completions.js';
+import {
+    createResponseStore,
+    createResponseItemId,
+    createResponseEventStream,
+    responseInputToMessages,
+    toChatTools,
+    toChatToolChoice,
+    toChatResponseFormat,
+    toResponseUsage,
+    buildOutputItems,
+    responseStatusFor,
+    DEFAULT_RESPONSE_STORE_MAX_ENTRIES,
+    DEFAULT_RESPONSE_STORE_TTL_MS
+} from './responses.js';
+import {
+    createMessageId,
+    createMessageEventStream,
+    anthropicToChatMessages,
+    anthropicToolsToChat,
+    anthropicToolChoiceToChat,
+    toAnthropicStopReason,
+    toAnthropicUsage,
+    buildContentBlocks,
+    sendAnthropicError
+} from './anthropic.js';
+import {
+    fromOllamaModelName,
+    ollamaContent,
+    ollamaToChatMessages,
+    ollamaGenerationBody,
+    ollamaFormatToChat,
+    toOllamaToolCalls,
+    toOllamaDoneReason,
+    buildOllamaStats,
+    buildOllamaTag,
+    buildOllamaShow,
+    sendOllamaError
+} from './ollama.js';
+import { createModelRouter } from './routing.js';
+import { createApiKeyStore } from './apikeys.js';
+import { createRateLimiter } from './ratelimit.js';
+import { createAuditLog } from './audit.js';
+import { createMetrics } from './metrics.js';
+import { createResponseCache, hashCacheKey, cacheDirectives } from './cache.js';
+import { createBackendPool, resolveBackendList, DEFAULT_HEALTH_CHECK_INTERVAL_MS } from './backends.js';
+import { createBackendLogs, createBackendSupervisor } from './supervisor.js';
+import {
+    createLogger,
+    configureLogger,
+    createRequestId,
+    runWithRequestContext,
+    getRequestContext,
+    bindRequestContext
+} from './logger.js';
+import { createModelCatalog, DEFAULT_MODEL_CATALOG_FILE, DEFAULT_MODEL_CATALOG_REFRESH_MS } from './catalog.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROXY_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')).version;
 
-// --- Mutex Logic with Timeout ---
-const queue = [];
-let isProcessing = false;
-
-const STARTUP_WAIT_ITERATIONS = 60;
-const STARTUP_WAIT_INTERVAL_MS = 2000;
-const STARTING_WAIT_ITERATIONS = 120;
-const STARTING_WAIT_INTERVAL_MS = 1000;
 const DEFAULT_REQUEST_TIMEOUT_MS = 300000;
 const DEFAULT_POLL_INTERVAL_MS = 500;
 const DEFAULT_EVENT_FIRST_DELTA_TIMEOUT_MS = 4000;
@@ -26,6 +107,8 @@ const DEFAULT_EVENT_IDLE_TIMEOUT_MS = 8000;
 
 const OPENCODE_BASENAME = 'opencode';
 
+const log = createLogger('Proxy');
+
 function splitPathEnv() {
     const raw = process.env.PATH || '';
     return raw.split(path.delimiter).filter(Boolean);
@@ -170,45 +253,6 @@ function resolveOpencodePath(requestedPath) {
     return { path: null, source: 'not-found' };
 }
 
-function processQueue() {
-    if (isProcessing || queue.length === 0) return;
-    isProcessing = true;
-    const { task, timeout, resolve, reject } = queue.shift();
-    let settled = false;
-    const timeoutMs = timeout || 120000;
-    const timeoutId = setTimeout(() => {
-        if (settled) return;
-        settled = true;
-        reject(new Error(`Request timeout after ${timeoutMs}ms`));
-    }, timeoutMs);
-
-    Promise.resolve()
-        .then(() => task())
-        .then((result) => {
-            if (settled) return;
-            settled = true;
-            clearTimeout(timeoutId);
-            resolve(result);
-        })
-        .catch((err) => {
-            if (settled) return;
-            settled = true;
-            clearTimeout(timeoutId);
-            reject(err);
-        })
-        .finally(() => {
-            isProcessing = false;
-            setTimeout(processQueue, 100);
-        });
-}
-
-function lock(task, timeout = 120000) {
-    return new Promise((resolve, reject) => {
-        queue.push({ task, timeout, resolve, reject });
-        processQueue();
-    });
-}
-
 /**
  * Robust Health Check Helper
  */
@@ -240,149 +284,525 @@ function cleanupTempDirs() {
             fs.rmSync(jailRoot, { recursive: true, force: true });
         }
     } catch (e) {
-        console.error('[Cleanup] Failed to remove temp dirs:', e.message);
+        createLogger('Cleanup').error('Failed to remove temp dirs', { error: e.message });
     }
 }
 
 // Register cleanup on exit
+process.on('exit', stopSupervisedBackends);
 process.on('exit', cleanupTempDirs);
 
-// Handle signals - Unix-like systems
+// Handle signals - Unix-like systems. Backends run in their own process group, so a Ctrl+C or a closed
+// terminal does not reach them: they are stopped here.
 if (process.platform !== 'win32') {
-    process.on('SIGINT', () => {
-        console.log('\n[Shutdown] Received SIGINT, cleaning up...');
-        cleanupTempDirs();
-        process.exit(0);
-    });
-    process.on('SIGTERM', () => {
-        console.log('\n[Shutdown] Received SIGTERM, cleaning up...');
-        cleanupTempDirs();
-        process.exit(0);
+    ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
+        process.on(signal, () => {
+            createLogger('Shutdown').info(`Received ${signal}, cleaning up...`);
+            stopSupervisedBackends();
+            cleanupTempDirs();
+            process.exit(0);
+        });
     });
 }
 // Note: Windows signal handling is limited, cleanup is handled via process.on('exit')
 
+/**
+ * Input modalities of an OpenCode model entry (always includes 'text').
+ */
+function getInputModalities(modelData) {
+    const modalities = ['text'];
+    const input = modelData?.capabilities?.input;
+    if (input && typeof input === 'object') {
+        ['image', 'audio', 'video', 'pdf'].forEach((kind) => {
+            if (input[kind]) modalities.push(kind);
+        });
+        return modalities;
+    }
+    const legacy = modelData?.modalities?.input;
+    if (Array.isArray(legacy)) {
+        legacy.forEach((kind) => {
+            if (kind !== 'text' && !modalities.includes(kind)) modalities.push(kind);
+        });
+        return modalities;
+    }
+    if (modelData?.attachment) modalities.push('image');
+    return modalities;
+}
+
+function getOutputModalities(modelData) {
+    const output = modelData?.capabilities?.output;
+    if (output && typeof output === 'object') {
+        const modalities = ['text', 'image', 'audio', 'video', 'pdf'].filter((kind) => output[kind]);
+        if (modalities.length) return modalities;
+    }
+    const legacy = modelData?.modalities?.output;
+    return Array.isArray(legacy) && legacy.length ? legacy : ['text'];
+}
+
+function toNumberOrNull(value) {
+    const n = Number(value);
+    return value === undefined || value === null || Number.isNaN(n) ? null : n;
+}
+
+/**
+ * The `/v1/models` object for an OpenCode model entry. Besides the OpenAI fields it carries the model's
+ * limits (tokens), cost (USD per million tokens, as OpenCode reports it) and capabilities; values OpenCode
+ * does not know are null.
+ */
+function buildModelObject({ id, providerID, modelID, data }) {
+    const capabilities = data?.capabilities || {};
+    const cost = data?.cost;
+    const releaseDate = data?.release_date ? Date.parse(data.release_date) : NaN;
+    return {
+        id,
+        object: 'model',
+        created: Number.isNaN(releaseDate) ? 0 : Math.floor(releaseDate / 1000),
+        owned_by: providerID,
+        name: data?.name || modelID,
+        input_modalities: getInputModalities(data),
+        output_modalities: getOutputModalities(data),
+        limits: {
+            context: toNumberOrNull(data?.limit?.context),
+            output: toNumberOrNull(data?.limit?.output)
+        },
+        cost: cost
+            ? {
+                input: toNumberOrNull(cost.input),
+                output: toNumberOrNull(cost.output),
+                cache_read: toNumberOrNull(cost.cache?.read ?? cost.cache_read),
+                cache_write: toNumberOrNull(cost.cache?.write ?? cost.cache_write)
+            }
+            : null,
+        capabilities: {
+            reasoning: Boolean(capabilities.reasoning ?? data?.reasoning),
+            attachment: Boolean(capabilities.attachment ?? data?.attachment),
+            tool_call: Boolean(capabilities.toolcall ?? data?.tool_call),
+            temperature: Boolean(capabilities.temperature ?? data?.temperature)
+        }
+    };
+}
+
+/**
+ * Map OpenCode assistant message tokens/cost onto an OpenAI `usage` object.
+ * OpenCode counts cached prompt tokens and reasoning tokens separately from input/output.
+ */
+function buildUsage(info) {
+    const tokens = info?.tokens || {};
+    const cacheRead = Number(tokens.cache?.read) || 0;
+    const cacheWrite = Number(tokens.cache?.write) || 0;
+    const reasoning = Number(tokens.reasoning) || 0;
+    const promptTokens = (Number(tokens.input) || 0) + cacheRead + cacheWrite;
+    const completionTokens = (Number(tokens.output) || 0) + reasoning;
+    const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: cacheRead },
+        completion_tokens_details: { reasoning_tokens: reasoning }
+    };
+    if (typeof info?.cost === 'number') usage.cost = info.cost;
+    return usage;
+}
+
+/**
+ * Sum the usage of several choices (n > 1) into one usage object.
+ */
+function combineUsage(infos) {
+    const usages = infos.map(buildUsage);
+    if (usages.length === 1) return usages[0];
+    const total = buildUsage(null);
+    usages.forEach((usage) => {
+        total.prompt_tokens += usage.prompt_tokens;
+        total.completion_tokens += usage.completion_tokens;
+        total.total_tokens += usage.total_tokens;
+        total.prompt_tokens_details.cached_tokens += usage.prompt_tokens_details.cached_tokens;
+        total.completion_tokens_details.reasoning_tokens += usage.completion_tokens_details.reasoning_tokens;
+        if (typeof usage.cost === 'number') total.cost = (total.cost || 0) + usage.cost;
+    });
+    return total;
+}
+
+/**
+ * Answer a chat request with a cached reply ({ models, choices, usage }): as a chat.completion object, or
+ * for streaming clients as the chunks of a live reply, one delta per kind of output in each choice.
+ */
+function sendCachedCompletion(res, cached, { stream, includeUsage }) {
+    const id = `chatcmpl-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    res.setHeader('X-OpenCode-Model', cached.models[0]);
+    if (!stream) {
+        res.json({ id, object: 'chat.completion', created, model: cached.models[0], choices: cached.choices, usage: cached.usage });
+        return;
+    }
+    const writeChunk = (index, delta, finishReason = null) => {
+        const chunk = {
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model: cached.models[index] || cached.models[0],
+            choices: [{ index, delta, finish_reason: finishReason }]
+        };
+        if (includeUsage) chunk.usage = null;
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    cached.choices.forEach(({ index, message, finish_reason: finishReason }) => {
+        if (message.reasoning_content) writeChunk(index, { reasoning_content: message.reasoning_content });
+        if (message.content) writeChunk(index, { content: message.content });
+        if (message.tool_calls) {
+            writeChunk(index, { tool_calls: message.tool_calls.map((call, i) => ({ index: i, ...call })) });
+        }
+        writeChunk(index, {}, finishReason);
+    });
+    if (includeUsage) {
+        const usageChunk = { id, object: 'chat.completion.chunk', created, model: cached.models[0], choices: [], usage: cached.usage };
+        res.write(`data: ${JSON.stringify(usageChunk)}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
 /**
  * Create Express app with proper configuration
  */
 function createApp(config) {
-    const { API_KEY, OPENCODE_SERVER_URL, REQUEST_TIMEOUT_MS, DEBUG, DISABLE_TOOLS } = config;
+    const { API_KEY, OPENCODE_SERVER_URL, REQUEST_TIMEOUT_MS, DISABLE_TOOLS, STRICT_PARAMS } = config;
+    // Remote image URLs go to OpenCode as they are, unless the proxy is set to download them itself.
+    const resolveImages = (parts) => (config.FETCH_REMOTE_IMAGES ? resolveRemoteImages(parts) : parts);
+    const JSON_MAX_RETRIES = Number.isFinite(Number(config.JSON_MAX_RETRIES)) && config.JSON_MAX_RETRIES !== null
+        ? Math.max(0, Number(config.JSON_MAX_RETRIES))
+        : DEFAULT_JSON_MAX_RETRIES;
+
+    const requestQueue = createRequestQueue({
+        maxConcurrent: config.MAX_CONCURRENT_REQUESTS,
+        maxQueueDepth: config.MAX_QUEUE_DEPTH,
+        limits: config.MODEL_CONCURRENCY
+    });
+    // The most recent failed generation request, reported by the health endpoints.
+    let lastRequestError = null;
+    const sessionAffinity = config.SESSION_AFFINITY
+        ? createSessionAffinity({ maxEntries: config.SESSION_AFFINITY_MAX_ENTRIES, ttlMs: config.SESSION_AFFINITY_TTL_MS })
+        : null;
+    const responseStore = createResponseStore({
+        maxEntries: config.RESPONSE_STORE_MAX_ENTRIES,
+        ttlMs: config.RESPONSE_STORE_TTL_MS
+    });
+    const modelRouter = createModelRouter(config.MODEL_ROUTES);
+    // Sessions that a later request may continue: remembered conversations and stored responses.
+    const isRetainedSession = (sessionId) =>
+        Boolean(sessionAffinity && sessionAffinity.hasSession(sessionId)) || responseStore.hasSession(sessionId);
 
     const app = express();
     app.use(cors({
         origin: '*',
-        methods: ['GET', 'POST', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization']
+        methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key', 'X-Session-Id', 'Anthropic-Version', 'Anthropic-Beta', 'Cache-Control'],
+        exposedHeaders: [
+            'X-Request-Id', 'X-OpenCode-Session-Id', 'X-OpenCode-Model', 'X-Proxy-Ignored-Params', 'Retry-After', 'X-Cache',
+            'X-RateLimit-Limit-Requests', 'X-RateLimit-Remaining-Requests', 'X-RateLimit-Reset-Requests',
+            'X-RateLimit-Limit-Requests-Day', 'X-RateLimit-Remaining-Requests-Day',
+            'X-RateLimit-Limit-Tokens', 'X-RateLimit-Remaining-Tokens', 'X-RateLimit-Reset-Tokens'
+        ]
     }));
     app.use(bodyParser.json({ limit: '50mb' }));
 
-    const client = createOpencodeClient({ baseUrl: OPENCODE_SERVER_URL });
-
-    // Auth middleware
+    // Request IDs: the client's X-Request-Id (when it looks like an ID) or a new one, echoed in the response.
+    // The rest of the request runs in a logging context that tags every line with it.
     app.use((req, res, next) => {
-        if (req.method === 'OPTIONS' || req.path === '/health' || req.path === '/') return next();
-        if (API_KEY && API_KEY.trim() !== '') {
-            const authHeader = req.headers.authorization;
-            if (!authHeader || authHeader !== `Bearer ${API_KEY}`) {
-                return res.status(401).json({ error: { message: 'Unauthorized' } });
+        const incoming = req.get('x-request-id');
+        const requestId = incoming && /^[\w.:@-]{1,128}$/.test(incoming) ? incoming : createRequestId();
+        res.locals.requestId = requestId;
+        res.setHeader('X-Request-Id', requestId);
+        runWithRequestContext({ requestId, key: null, sessionIds: [] }, next);
+    });
+
+    const backendLogs = createBackendLogs({
+        maxLines: config.BACKEND_SUPERVISOR.logLines,
+        file: config.BACKEND_SUPERVISOR.logFile
+    });
+    const supervisorOf = (backend) => backendState.get(backend.url)?.supervisor || null;
+    const backendPool = createBackendPool({
+        backends: resolveBackendList(OPENCODE_SERVER_URL, config.BACKEND_POOL),
+        strategy: config.BACKEND_POOL.strategy,
+        healthCheckIntervalMs: config.BACKEND_POOL.healthCheckIntervalMs,
+        createClient: (baseUrl) => createOpencodeClient({ baseUrl }),
+        checkHealth,
+        startBackend: (backend) => ensureBackend(config, backend, {
+            logs: backendLogs,
+            // A crashed process takes its backend out of the pool right away, not at the next health check.
+            onStatusChange: (status, reason) => {
+                if (status === 'running') backendPool.report(backend, null);
+                else if (status === 'backoff' || status === 'crash-loop') backendPool.report(backend, new Error(reason));
             }
+        }),
+        getLoad: (backend) => sessionManager.countInFlight(backend),
+        describe: (backend) => (supervisorOf(backend) ? { process: supervisorOf(backend).getState() } : {})
+    });
+    // Session calls go to the backend that holds the session.
+    const clientFor = (sessionId) => (sessionManager.backendOf(sessionId) || backendPool.primary()).client;
+    const sessionManager = createSessionManager({
+        backends: backendPool,
+        policy: config.SESSION_RETENTION,
+        keepCount: config.SESSION_KEEP_COUNT,
+        ttlMs: config.SESSION_TTL_MS,
+        sweepIntervalMs: config.SESSION_SWEEP_INTERVAL_MS,
+        instanceId: config.SESSION_INSTANCE_ID,
+        isProtected: isRetainedSession
+    });
+
+    const apiKeys = createApiKeyStore({
+        apiKey: API_KEY,
+        keys: config.API_KEYS,
+        filePath: config.API_KEYS_FILE
+    });
+
+    const AUTH_ERRORS = { disabled: 'API key is disabled', expired: 'API key has expired' };
+    const authLog = createLogger('Auth');
+    const isLoopback = (address) => /^(127\.|::1$|::ffff:127\.)/.test(address || '');
+
+    // Auth middleware (Anthropic clients send the key in x-api-key). The key's public view is kept in
+    // res.locals.apiKey (null when auth is off) for model scopes, tool settings and logging. Without any
+    // API key configured, /admin/* only answers requests from this machine.
+    app.use((req, res, next) => {
+        if (req.method === 'OPTIONS' || req.path === '/health' || req.path.startsWith('/health/') || req.path === '/') return next();
+        const authHeader = req.headers.authorization || '';
+        const secret = req.headers['x-api-key'] || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '');
+        const { key, error, name } = apiKeys.authenticate(secret);
+        if (error) {
+            if (name) authLog.warn(`Rejected ${error} API key`, { key: name, method: req.method, path: req.path });
+            return res.status(401).json({ error: { message: AUTH_ERRORS[error] || 'Unauthorized' } });
+        }
+        if (key && !key.admin && req.path.startsWith('/admin/')) {
+            return res.status(403).json({ error: { message: `API key "${key.name}" has no admin access` } });
+        }
+        if (!key && req.path.startsWith('/admin/') && !isLoopback(req.socket.remoteAddress)) {
+            authLog.warn('Rejected remote admin request without an API key', { method: req.method, path: req.path, ip: req.socket.remoteAddress });
+            return res.status(403).json({ error: { message: 'Admin routes need an admin API key when called from another host' } });
+        }
+        res.locals.apiKey = key;
+        if (key) getRequestContext().key = key.name;
+        next();
+    });
+
+    const rateLimiter = createRateLimiter(config.RATE_LIMIT);
+
+    // Rate limits and quotas on the API routes, per API key or, without one, per client IP. The admitted
+    // request's ticket (res.locals.rateLimit) frees its concurrency slot when the response closes and is
+    // charged the tokens the request used.
+    app.use(['/v1', '/api'], (req, res, next) => {
+        if (!rateLimiter.enabled || req.method === 'OPTIONS') return next();
+        const keyName = res.locals.apiKey?.name || null;
+        const decision = rateLimiter.acquire(keyName ? `key:${keyName}` : `ip:${req.ip}`, keyName);
+        Object.entries(decision.headers).forEach(([name, value]) => res.setHeader(name, value));
+        if (!decision.ok) {
+            const error = new HttpError(429, decision.message, 'rate_limit_exceeded', 'rate_limit_exceeded');
+            if (req.baseUrl === '/api') return sendOllamaError(res, error);
+            if (req.path.startsWith('/messages')) return sendAnthropicError(res, error);
+            return sendHttpError(res, error);
         }
+        res.locals.rateLimit = decision.ticket;
+        res.on('close', () => decision.ticket.release());
         next();
     });
 
-    // Models endpoint
+    const auditLog = createAuditLog(config.AUDIT_LOG);
+    const responseCache = createResponseCache(config.RESPONSE_CACHE);
+
+    const metrics = createMetrics();
+    const requestsTotal = metrics.counter('opencode_proxy_requests_total', 'Generation requests by endpoint, model and HTTP status (499: cancelled by the client).');
+    const requestDuration = metrics.histogram('opencode_proxy_request_duration_seconds', 'Time from receiving a generation request to finishing it.');
+    const firstTokenLatency = metrics.histogram('opencode_proxy_time_to_first_token_seconds', 'Time from receiving a streaming request to its first streamed token.');
+    const queueWait = metrics.histogram('opencode_proxy_queue_wait_seconds', 'Time generation requests waited in the queue.');
+    const replySources = metrics.counter('opencode_proxy_reply_source_total', 'Replies by the path that produced them; for streaming requests polling, idle-timeout and sse-error are fallbacks from sse.');
+    const modelFallbacks = metrics.counter('opencode_proxy_model_fallbacks_total', 'Models that failed and passed the request on to the next model in their fallback chain.');
+    const cacheResults = metrics.counter('opencode_proxy_response_cache_total', 'Cacheable chat requests by cache result: hit, miss or bypass (Cache-Control: no-cache or no-store).');
+
+    const MODEL_INFO_CACHE_MS = 5 * 60 * 1000;
+
+    const fetchProviderList = async () => {
+        const providersRes = await backendPool.primary().client.config.providers();
+        if (providersRes.error || !providersRes.data) {
+            throw new Error(`OpenCode provider list request failed (HTTP ${providersRes.response?.status})`);
+        }
+        const providersRaw = providersRes.data?.providers || [];
+        return Array.isArray(providersRaw)
+            ? providersRaw
+            : Object.entries(providersRaw).map(([id, info]) => ({ ...info, id }));
+    };
+
+    const modelCatalog = createModelCatalog({
+        fetchProviders: fetchProviderList,
+        filePath: config.MODEL_CATALOG_FILE,
+        refreshIntervalMs: config.MODEL_CATALOG_REFRESH_MS
+    });
+
+    // Provider list from the catalog (refetched after MODEL_INFO_CACHE_MS), or null when there is none.
+    const getProviderList = async () => (await modelCatalog.get(MODEL_INFO_CACHE_MS))?.providers || null;
+
+    // Raw OpenCode model entry for providerID/modelID, or null when it cannot be determined.
+    const getModelInfo = async (providerID, modelID) => {
+        const list = await getProviderList();
+        const provider = list?.find((p) => p.id === providerID);
+        return provider?.models?.[modelID] || null;
+    };
+
+    /**
+     * Resolve the requested model name through MODEL_ROUTES into a fallback chain. Models OpenCode does not
+     * know are dropped from the chain, and a request with none left fails with 404 instead of a confusing
+     * backend error. When the model catalog cannot be fetched the chain is used as configured.
+     */
+    const resolveModelRoute = async (name) => {
+        const route = modelRouter.resolve(name);
+        const list = await getProviderList();
+        if (!list) return route;
+        const available = route.models.filter((m) => list.some((p) => p.id === m.providerID && p.models?.[m.modelID]));
+        if (!available.length) {
+            const target = route.rule ? ` (routed to ${route.models.map((m) => m.id).join(', ')})` : '';
+            throw new HttpError(404, `The model '${route.requested}'${target} does not exist`, 'invalid_request_error', 'model_not_found');
+        }
+        if (available.length < route.models.length) {
+            log.debug('Unknown models skipped in route', {
+                requested: route.requested,
+                skipped: route.models.filter((m) => !available.includes(m)).map((m) => m.id)
+            });
+        }
+        return { ...route, models: available };
+    };
+
+    /**
+     * Every model OpenCode reports, as { models: [{ id: 'provider/model', providerID, modelID, data }], fetchedAt, stale }.
+     * The catalog is refetched on every call; while the backend is unreachable the last known one is returned
+     * with `stale: true`, and without any catalog this fails with 503.
+     */
+    const listModels = async () => {
+        const catalog = await modelCatalog.get();
+        if (!catalog) {
+            const reason = modelCatalog.getState().lastError?.message || 'no model catalog available';
+            throw new HttpError(503, `Model list unavailable: ${reason}`, 'server_error', 'models_unavailable');
+        }
+        if (catalog.stale) {
+            log.warn('OpenCode model list unavailable, serving the last known catalog', { fetchedAt: new Date(catalog.fetchedAt).toISOString() });
+        }
+        const models = [];
+        catalog.providers.forEach((p) => {
+            if (p.models) {
+                Object.entries(p.models).forEach(([mId, mData]) => {
+                    models.push({ id: `${p.id}/${mId}`, providerID: p.id, modelID: mId, data: mData });
+                });
+            }
+        });
+        return { models, fetchedAt: catalog.fetchedAt, stale: catalog.stale };
+    };
+
+    /**
+     * Limit a fallback chain to the models `key` may use. A key allowed the requested name itself (say an
+     * alias from MODEL_ROUTES) may use the whole chain; with no model left the request fails with 403.
+     */
+    const restrictRoute = (route, key) => {
+        if (!key?.models || apiKeys.allowsModel(key, route.requested)) return route;
+        const models = route.models.filter((m) => apiKeys.allowsModel(key, m.id));
+        if (!models.length) {
+            throw new HttpError(403, `API key "${key.name}" may not use model '${route.requested}'`, 'invalid_request_error', 'model_not_allowed');
+        }
+        return { ...route, models };
+    };
+
+    // Models endpoint; `stale` is set when the list comes from the last known catalog because OpenCode is unreachable.
     app.get('/v1/models', async (req, res) => {
         try {
-            const providersRes = await client.config.providers();
-            const providersRaw = providersRes.data?.providers || [];
-            const models = [];
-            const list = Array.isArray(providersRaw)
-                ? providersRaw
-                : Object.entries(providersRaw).map(([id, info]) => ({ ...info, id }));
-
-            list.forEach((p) => {
-                if (p.models) {
-                    Object.entries(p.models).forEach(([mId, mData]) => {
-                        models.push({
-                            id: `${p.id}/${mId}`,
-                            name: mData.name || mId,
-                            object: 'model',
-                            owned_by: p.id
-                        });
-                    });
-                }
-            });
-            res.json({ object: 'list', data: models });
+            const { models, fetchedAt, stale } = await listModels();
+            const allowed = models.filter((m) => apiKeys.allowsModel(res.locals.apiKey, m.id));
+            res.json({ object: 'list', data: allowed.map(buildModelObject), fetched_at: Math.floor(fetchedAt / 1000), stale });
+        } catch (error) {
+            log.error('Model fetch error', { error: error.message });
+            sendHttpError(res, error);
+        }
+    });
+
+    // A single model; ids contain a slash (`provider/model`), and aliases from MODEL_ROUTES resolve to
+    // the first model of their chain.
+    app.get('/v1/models/*id', async (req, res) => {
+        const name = [].concat(req.params.id).join('/');
+        const { providerID, modelID } = modelRouter.resolve(name).models[0];
+        try {
+            const { models } = await listModels();
+            const key = res.locals.apiKey;
+            const model = models.find((m) => m.providerID === providerID && m.modelID === modelID &&
+                (apiKeys.allowsModel(key, name) || apiKeys.allowsModel(key, m.id)));
+            if (!model) {
+                return sendHttpError(res, new HttpError(404, `The model '${name}' does not exist`, 'invalid_request_error', 'model_not_found'));
+            }
+            res.json(buildModelObject(model));
         } catch (error) {
-            console.error('[Proxy] Model Fetch Error:', error.message);
-            res.json({ object: 'list', data: [{ id: 'opencode/kimi-k2.5-free', object: 'model' }] });
+            log.error('Model fetch error', { error: error.message });
+            sendHttpError(res, error);
         }
     });
 
-    const logDebug = (...args) => {
-        if (DEBUG) {
-            console.log('[Proxy][Debug]', ...args);
+    // The models of a fallback chain that accept image input; models with unknown capabilities are kept.
+    const selectImageModels = async (models) => {
+        const capable = [];
+        for (const model of models) {
+            const modelInfo = await getModelInfo(model.providerID, model.modelID);
+            if (!modelInfo || getInputModalities(modelInfo).includes('image')) capable.push(model);
         }
+        if (!capable.length) {
+            throw new HttpError(400, `Model ${models[0].id} does not accept image input`, 'invalid_request_error', 'image_not_supported');
+        }
+        return capable;
     };
 
     const TOOL_GUARD_MESSAGE = 'Tools are disabled. Do not call tools or function calls. Answer directly from the conversation and general knowledge. If external or real-time data is required, say so and ask the user to enable tools.';
-    const applyToolGuard = (systemMsg) => {
-        if (!DISABLE_TOOLS) return systemMsg || undefined;
-        if (systemMsg && systemMsg.trim()) {
-            return `${systemMsg}\n\n${TOOL_GUARD_MESSAGE}`;
-        }
-        return TOOL_GUARD_MESSAGE;
+    // `disableTools` in these helpers is DISABLE_TOOLS, or the override of the API key the request was made with.
+    const applyToolGuard = (disableTools, systemMsg, toolInstructions, formatInstructions) => {
+        const sections = systemMsg && systemMsg.trim() ? [systemMsg] : [];
+        // Client-side tools replace the guard: the model may only call the functions described to it.
+        if (toolInstructions) sections.push(toolInstructions);
+        else if (disableTools) sections.push(TOOL_GUARD_MESSAGE);
+        if (formatInstructions) sections.push(formatInstructions);
+        return sections.length ? sections.join('\n\n') : undefined;
     };
 
-    const stripFunctionCalls = (text, trim = true) => {
-        if (!DISABLE_TOOLS || !text) return text;
+    const stripFunctionCalls = (disableTools, text, trim = true) => {
+        if (!disableTools || !text) return text;
         const cleaned = text
             .replace(/<function_calls>[\s\S]*?<\/function_calls>/g, '')
             .replace(/<\/?function_calls>/g, '');
         return trim ? cleaned.trim() : cleaned;
     };
 
-    const createToolCallFilter = () => {
-        if (!DISABLE_TOOLS) return (chunk) => chunk;
-        let inBlock = false;
-        return (chunk) => {
-            if (!chunk) return chunk;
-            let output = '';
-            let remaining = chunk;
-            while (remaining.length) {
-                if (inBlock) {
-                    const endIdx = remaining.indexOf('</function_calls>');
-                    if (endIdx === -1) {
-                        return output;
-                    }
-                    remaining = remaining.slice(endIdx + '</function_calls>'.length);
-                    inBlock = false;
-                    continue;
-                }
-                const startIdx = remaining.indexOf('<function_calls>');
-                if (startIdx === -1) {
-                    output += remaining;
-                    return output;
-                }
-                output += remaining.slice(0, startIdx);
-                remaining = remaining.slice(startIdx + '<function_calls>'.length);
-                inBlock = true;
-            }
-            return output;
-        };
+    // Returns a stream parser ({ push, flush }) that removes <function_calls> blocks when tools are disabled,
+    // or turns them into tool calls when the client supplied its own tools; without parallel tool calls
+    // only the first call is kept.
+    const createToolCallFilter = (disableTools, clientTools = null, parallelToolCalls = true) => {
+        if (clientTools && clientTools.length) {
+            return createToolCallStreamParser({
+                allowedNames: new Set(clientTools.map((t) => t.name)),
+                maxCalls: parallelToolCalls ? Infinity : 1
+            });
+        }
+        if (!disableTools) {
+            return {
+                push: (chunk) => ({ text: chunk || '', toolCalls: [] }),
+                flush: () => ({ text: '', toolCalls: [] })
+            };
+        }
+        return createToolCallStreamParser({ capture: false });
     };
 
     const TOOL_IDS_CACHE_MS = 5 * 60 * 1000;
     let cachedToolOverrides = null;
     let cachedToolAt = 0;
 
-    const getToolOverrides = async () => {
-        if (!DISABLE_TOOLS) return null;
+    // Built-in OpenCode tools are switched off when tools are disabled or the client brings its own tools.
+    const getToolOverrides = async (disableTools, force = false) => {
+        if (!disableTools && !force) return null;
         if (cachedToolOverrides && Date.now() - cachedToolAt < TOOL_IDS_CACHE_MS) {
             return cachedToolOverrides;
         }
         try {
-            const idsRes = await client.tool.ids();
+            const idsRes = await backendPool.primary().client.tool.ids();
             const ids = Array.isArray(idsRes?.data)
                 ? idsRes.data
                 : Array.isArray(idsRes)
@@ -394,19 +814,35 @@ function createApp(config) {
             });
             cachedToolOverrides = overrides;
             cachedToolAt = Date.now();
-            logDebug('Tool overrides loaded', { count: ids.length });
+            log.debug('Tool overrides loaded', { count: ids.length });
             return overrides;
         } catch (e) {
-            logDebug('Tool override fetch failed', { error: e.message });
+            log.debug('Tool override fetch failed', { error: e.message });
             return null;
         }
     };
 
-    async function promptWithTimeout(promptParams, timeoutMs) {
+    // The timer and the abort listener are removed once the race is settled, so neither outlives the prompt.
+    async function promptWithTimeout(promptParams, timeoutMs, signal) {
+        let timer = null;
+        let onAbort = null;
         const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error(`Request timeout after ${timeoutMs}ms`)), timeoutMs);
+            timer = setTimeout(() => reject(new Error(`Request timeout after ${timeoutMs}ms`)), timeoutMs);
         });
-        return Promise.race([client.session.prompt(promptParams), timeoutPromise]);
+        const racers = [clientFor(promptParams.path.id).session.prompt({ ...promptParams, signal }), timeoutPromise];
+        if (signal) {
+            racers.push(new Promise((_, reject) => {
+                if (signal.aborted) reject(new RequestCancelledError());
+                onAbort = () => reject(new RequestCancelledError());
+                signal.addEventListener('abort', onAbort, { once: true });
+            }));
+        }
+        try {
+            return await Promise.race(racers);
+        } finally {
+            clearTimeout(timer);
+            if (onAbort) signal.removeEventListener('abort', onAbort);
+        }
     }
 
     class NoEventDataError extends Error {
@@ -423,11 +859,15 @@ function createApp(config) {
         return { content, reasoning };
     }
 
-    async function pollForAssistantResponse(sessionId, timeoutMs, intervalMs = DEFAULT_POLL_INTERVAL_MS) {
+    async function pollForAssistantResponse(sessionId, timeoutMs, signal, intervalMs = DEFAULT_POLL_INTERVAL_MS) {
         const pollStart = Date.now();
         const startedAt = Date.now();
         while (Date.now() - startedAt < timeoutMs) {
-            const messagesRes = await client.session.messages({ path: { id: sessionId } });
+            if (signal?.aborted) {
+                log.debug('Polling cancelled', { sessionId, ms: Date.now() - pollStart });
+                throw new RequestCancelledError();
+            }
+            const messagesRes = await clientFor(sessionId).session.messages({ path: { id: sessionId } });
             const messages = messagesRes?.data || messagesRes || [];
             if (Array.isArray(messages) && messages.length) {
                 for (let i = messages.length - 1; i >= 0; i -= 1) {
@@ -439,9 +879,9 @@ function createApp(config) {
                     const done = Boolean(info.finish || info.time?.completed || error);
                     if (done || content || reasoning) {
                         if (error) {
-                            console.error('[Proxy] OpenCode assistant error:', error);
+                            log.error('OpenCode assistant error', { sessionId, error });
                         }
-                        logDebug('Polling completed', {
+                        log.debug('Polling completed', {
                             sessionId,
                             ms: Date.now() - pollStart,
                             done,
@@ -449,19 +889,19 @@ function createApp(config) {
                             reasoningLen: reasoning.length,
                             error: error ? error.name : null
                         });
-                        return { content, reasoning, error };
+                        return { content, reasoning, error, info };
                     }
                 }
             }
             await sleep(intervalMs);
         }
-        logDebug('Polling timeout', { sessionId, ms: Date.now() - pollStart });
+        log.debug('Polling timeout', { sessionId, ms: Date.now() - pollStart });
         throw new Error(`Request timeout after ${timeoutMs}ms`);
     }
 
-    async function collectFromEvents(sessionId, timeoutMs, onDelta, firstDeltaTimeoutMs, idleTimeoutMs) {
+    async function collectFromEvents(sessionId, timeoutMs, onDelta, firstDeltaTimeoutMs, idleTimeoutMs, signal) {
         const controller = new AbortController();
-        const eventStreamResult = await client.event.subscribe({ signal: controller.signal });
+        const eventStreamResult = await clientFor(sessionId).event.subscribe({ signal: controller.signal });
         const eventStream = eventStreamResult.stream;
         let finished = false;
         let content = '';
@@ -470,6 +910,7 @@ function createApp(config) {
         let deltaChars = 0;
         let firstDeltaAt = null;
         const startedAt = Date.now();
+        let onAbort = null;
 
         const finishPromise = new Promise((resolve, reject) => {
             const timeoutId = setTimeout(() => {
@@ -484,7 +925,7 @@ function createApp(config) {
                     if (finished || receivedDelta) return;
                     finished = true;
                     controller.abort();
-                    logDebug('No event data received', { sessionId, ms: Date.now() - startedAt });
+                    log.debug('No event data received', { sessionId, ms: Date.now() - startedAt });
                     resolve({ content: '', reasoning: '', noData: true });
                 }, firstDeltaTimeoutMs)
                 : null;
@@ -497,7 +938,7 @@ function createApp(config) {
                     if (finished) return;
                     finished = true;
                     controller.abort();
-                    logDebug('Event idle timeout', {
+                    log.debug('Event idle timeout', {
                         sessionId,
                         ms: Date.now() - startedAt,
                         deltaChars
@@ -511,6 +952,21 @@ function createApp(config) {
                 }, idleTimeoutMs);
             };
 
+            if (signal) {
+                onAbort = () => {
+                    if (finished) return;
+                    finished = true;
+                    clearTimeout(timeoutId);
+                    if (firstDeltaTimer) clearTimeout(firstDeltaTimer);
+                    if (idleTimer) clearTimeout(idleTimer);
+                    controller.abort();
+                    log.debug('SSE cancelled', { sessionId, ms: Date.now() - startedAt, deltaChars });
+                    reject(new RequestCancelledError());
+                };
+                if (signal.aborted) onAbort();
+                else signal.addEventListener('abort', onAbort, { once: true });
+            }
+
             (async () => {
                 try {
                     for await (const event of eventStream) {
@@ -522,7 +978,7 @@ function createApp(config) {
                                 scheduleIdleTimer();
                                 if (!firstDeltaAt) {
                                     firstDeltaAt = Date.now();
-                                    logDebug('SSE first delta', {
+                                    log.debug('SSE first delta', {
                                         sessionId,
                                         ms: firstDeltaAt - startedAt,
                                         type: part.type
@@ -538,20 +994,23 @@ function createApp(config) {
                                 deltaChars += delta.length;
                             }
                         }
+                        // 'tool-calls' means OpenCode runs its own tools and continues with another step.
                         if (event.type === 'message.updated' &&
                             event.properties.info.sessionID === sessionId &&
-                            event.properties.info.finish === 'stop') {
+                            event.properties.info.role === 'assistant' &&
+                            ((event.properties.info.finish && event.properties.info.finish !== 'tool-calls') ||
+                                event.properties.info.error)) {
                             if (!finished) {
                                 finished = true;
                                 clearTimeout(timeoutId);
                                 if (firstDeltaTimer) clearTimeout(firstDeltaTimer);
                                 if (idleTimer) clearTimeout(idleTimer);
-                                logDebug('SSE completed', {
+                                log.debug('SSE completed', {
                                     sessionId,
                                     ms: Date.now() - startedAt,
                                     deltaChars
                                 });
-                                resolve({ content, reasoning });
+                                resolve({ content, reasoning, info: event.properties.info });
                             }
                             break;
                         }
@@ -571,242 +1030,476 @@ function createApp(config) {
         try {
             return await finishPromise;
         } finally {
+            if (onAbort) signal.removeEventListener('abort', onAbort);
             controller.abort();
         }
     }
 
-    // Chat completions endpoint
-    app.post('/v1/chat/completions', async (req, res) => {
+    /**
+     * Send a prompt and wait for the assistant reply. With `onDelta(delta, isReasoning)` the reply is streamed
+     * from the event feed, and whatever the feed missed is recovered by polling. Returns
+     * { content, reasoning, info, error, source } where `source` is the path that produced the reply
+     * ('sse', 'polling', 'idle-timeout' or 'sse-error') and `error` is only set when there is no text at all.
+     */
+    async function runPromptOnce(promptParams, { onDelta = null, signal = null } = {}) {
+        const sessionId = promptParams.path.id;
+        const promptStart = Date.now();
+
+        if (!onDelta) {
+            const promptRes = await promptWithTimeout(promptParams, REQUEST_TIMEOUT_MS, signal);
+            log.debug('Prompt sent', { sessionId, ms: Date.now() - promptStart });
+            const { content, reasoning, error, info } = await pollForAssistantResponse(sessionId, REQUEST_TIMEOUT_MS, signal);
+            return {
+                content,
+                reasoning,
+                info: promptRes?.data?.info || info,
+                error: error && !content && !reasoning ? error : null,
+                source: 'polling'
+            };
+        }
+
+        // Raw text already handed to onDelta, used to resume after the SSE fallback.
+        let rawContent = '';
+        let rawReasoning = '';
+        const forward = (delta, isReasoning) => {
+            if (!delta) return;
+            if (isReasoning) rawReasoning += delta;
+            else rawContent += delta;
+            onDelta(delta, isReasoning);
+        };
+        const remainderOf = (full, streamed) => {
+            if (!full) return '';
+            return full.startsWith(streamed) ? full.slice(streamed.length) : full;
+        };
+
+        const collectPromise = collectFromEvents(
+            sessionId,
+            REQUEST_TIMEOUT_MS,
+            forward,
+            DEFAULT_EVENT_FIRST_DELTA_TIMEOUT_MS,
+            DEFAULT_EVENT_IDLE_TIMEOUT_MS,
+            signal
+        );
+        const safeCollect = collectPromise.catch((err) => ({ __error: err }));
+        const promptRes = await promptWithTimeout(promptParams, REQUEST_TIMEOUT_MS, signal);
+        log.debug('Prompt sent', { sessionId, ms: Date.now() - promptStart });
+        let info = promptRes?.data?.info || null;
+        const collected = await safeCollect;
+        if (collected?.__error instanceof RequestCancelledError) throw collected.__error;
+        if (!info && collected?.info) info = collected.info;
+
+        let source = 'sse';
+        let error = null;
+        if (collected && (collected.__error || collected.noData || collected.idleTimeout)) {
+            if (collected.__error) {
+                source = 'sse-error';
+                log.debug('SSE collect error, falling back to polling', {
+                    sessionId,
+                    error: collected.__error?.message
+                });
+            } else if (collected.noData) {
+                source = 'polling';
+                log.debug('Fallback to polling (stream)', { sessionId });
+            } else {
+                source = 'idle-timeout';
+                log.debug('SSE idle timeout, polling for completion', { sessionId });
+            }
+            const polled = await pollForAssistantResponse(sessionId, REQUEST_TIMEOUT_MS, signal);
+            if (!info) info = polled.info;
+            if (polled.error && !polled.content && !polled.reasoning) {
+                error = polled.error;
+            } else {
+                forward(remainderOf(polled.reasoning, rawReasoning), true);
+                forward(remainderOf(polled.content, rawContent), false);
+            }
+        }
+
+        if (collected && !rawContent && !rawReasoning && (collected.reasoning || collected.content)) {
+            forward(collected.reasoning, true);
+            forward(collected.content, false);
+        }
+
+        return { content: rawContent, reasoning: rawReasoning, info, error, source };
+    }
+
+    /**
+     * Drop the last user turn (and the failed reply to it) from a session, so the turn can be sent again.
+     * OpenCode removes reverted messages when the next prompt arrives.
+     */
+    async function rewindSession(sessionId) {
         try {
-            await lock(async () => {
-                let sessionId = null;
-                let eventStream = null;
+            const messagesRes = await clientFor(sessionId).session.messages({ path: { id: sessionId } });
+            const messages = messagesRes?.data || [];
+            const lastUser = [...messages].reverse().find((m) => m?.info?.role === 'user');
+            if (lastUser) {
+                await clientFor(sessionId).session.revert({ path: { id: sessionId }, body: { messageID: lastUser.info.id } });
+            }
+        } catch (e) {
+            log.debug('Session rewind failed', { sessionId, error: e.message });
+        }
+    }
 
-                try {
-                    const { messages, model, stream } = req.body;
-                    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-                        return res.status(400).json({ error: { message: 'messages array is required' } });
-                    }
+    // What the running request's prompts did, per session: tokens for the daily quota, and the models,
+    // reply paths, fallbacks and reply text for the audit log.
+    const sessionTraces = new Map();
+    const traceFor = (sessionId) => {
+        if (!sessionTraces.has(sessionId)) {
+            sessionTraces.set(sessionId, { tokens: 0, models: [], sources: [], fallbacks: [], completions: [], firstTokenAt: null });
+        }
+        return sessionTraces.get(sessionId);
+    };
+    const takeSessionTraces = (sessionIds) => {
+        const merged = { tokens: 0, models: [], sources: [], fallbacks: [], completions: [], firstTokenAt: null };
+        sessionIds.forEach((sessionId) => {
+            const trace = sessionTraces.get(sessionId);
+            sessionTraces.delete(sessionId);
+            if (!trace) return;
+            merged.tokens += trace.tokens;
+            ['models', 'sources', 'fallbacks', 'completions'].forEach((field) => merged[field].push(...trace[field]));
+            if (trace.firstTokenAt && (!merged.firstTokenAt || trace.firstTokenAt < merged.firstTokenAt)) {
+                merged.firstTokenAt = trace.firstTokenAt;
+            }
+        });
+        return merged;
+    };
 
-                    let [pID, mID] = (model || 'opencode/kimi-k2.5-free').split('/');
-                    if (!mID) { mID = pID; pID = 'opencode'; }
-
-                    const normalizeMessageContent = (content) => {
-                        if (typeof content === 'string') return content;
-                        if (Array.isArray(content)) {
-                            return content.map((part) => {
-                                if (typeof part === 'string') return part;
-                                if (part && typeof part.text === 'string') return part.text;
-                                return '';
-                            }).join('');
-                        }
-                        if (content && typeof content.text === 'string') return content.text;
-                        if (content === null || content === undefined) return '';
-                        if (typeof content === 'number' || typeof content === 'boolean') return String(content);
-                        return '';
-                    };
+    /**
+     * `runPromptOnce` over a fallback chain. `models` lists { providerID, modelID, id } to try in order
+     * (default: the model in `promptParams`); when one fails with a provider error or times out before any
+     * output was passed to `onDelta`, the turn is rewound and sent to the next model in the same session.
+     * `onModel(model)` is called as each model starts. The result adds `model` (the id that produced the
+     * reply) and `fallbacks` ([{ model, error }] for the models that failed before it).
+     */
+    async function runPrompt(promptParams, { onDelta = null, signal = null, models = null, onModel = null } = {}) {
+        const sessionId = promptParams.path.id;
+        const { providerID, modelID } = promptParams.body.model;
+        const chain = models && models.length ? models : [{ providerID, modelID, id: `${providerID}/${modelID}` }];
+        const fallbacks = [];
+        const trace = traceFor(sessionId);
+        let emitted = false;
+        const forward = onDelta
+            ? (delta, isReasoning) => {
+                emitted = true;
+                if (!trace.firstTokenAt) trace.firstTokenAt = Date.now();
+                onDelta(delta, isReasoning);
+            }
+            : null;
+
+        for (let i = 0; ; i += 1) {
+            const model = chain[i];
+            const isLast = i === chain.length - 1;
+            await getRequestContext()?.enterModel?.(model);
+            if (onModel) onModel(model);
+            const params = {
+                ...promptParams,
+                body: { ...promptParams.body, model: { providerID: model.providerID, modelID: model.modelID } }
+            };
+            let failure;
+            try {
+                const result = await runPromptOnce(params, { onDelta: forward, signal });
+                trace.tokens += buildUsage(result.info).total_tokens || 0;
+                trace.sources.push(result.source);
+                if (!result.error || emitted || isLast) {
+                    trace.models.push(model.id);
+                    if (result.content) trace.completions.push(result.content);
+                    return { ...result, model: model.id, fallbacks };
+                }
+                failure = `${result.error.name || 'OpenCodeError'}: ${result.error.data?.message || result.error.message || 'Unknown error'}`;
+            } catch (e) {
+                const timedOut = Boolean(e.message && e.message.includes('Request timeout'));
+                if (!timedOut || emitted || isLast || signal?.aborted) throw e;
+                failure = e.message;
+                await clientFor(sessionId).session.abort({ path: { id: sessionId } })
+                    .catch((err) => log.debug('Session abort failed', { sessionId, error: err.message }));
+            }
+            fallbacks.push({ model: model.id, error: failure });
+            trace.fallbacks.push({ model: model.id, error: failure });
+            log.warn(`Model ${model.id} failed, falling back to ${chain[i + 1].id}`, { sessionId, error: failure });
+            await rewindSession(sessionId);
+        }
+    }
 
-                    const buildPromptParts = (rawMessages) => {
-                        const parts = [];
-                        const systemChunks = [];
-                        const userContents = [];
-                        rawMessages.forEach((m) => {
-                            const role = (m?.role || 'user').toLowerCase();
-                            const content = normalizeMessageContent(m?.content);
-                            if (role === 'system') {
-                                if (content) systemChunks.push(content);
-                                return;
-                            }
-                            if (!content) return;
-                            if (role === 'user') userContents.push(content);
-                            const roleLabel = role.toUpperCase();
-                            const nameSuffix = m?.name ? `(${m.name})` : '';
-                            parts.push({
-                                type: 'text',
-                                text: `${roleLabel}${nameSuffix}: ${content}`
-                            });
-                        });
-                        return {
-                            parts,
-                            system: systemChunks.join('\n\n'),
-                            lastUserMsg: userContents[userContents.length - 1] || ''
-                        };
-                    };
+    /**
+     * Run a prompt to completion without streaming and shape the reply: apply stop/max_tokens, turn
+     * <function_calls> into tool calls when the client sent tools, and with a `responseFormat` validate the
+     * JSON, asking the model to correct itself in the same session up to JSON_MAX_RETRIES times.
+     * `models` is the fallback chain for `runPrompt`.
+     * Returns { content, reasoning, toolCalls, finishReason, stopSequence, model, fallbacks, infos, attempts, truncated }.
+     */
+    async function completeReply(promptParams, { generation, disableTools, clientTools = null, parallelToolCalls = true, responseFormat = null, signal = null, models = null }) {
+        const sessionId = promptParams.path.id;
+        const infos = [];
+        const fallbacks = [];
+        for (let attempt = 0; ; attempt += 1) {
+            const { content, reasoning, info, error, model, fallbacks: failed } = await runPrompt(promptParams, { signal, models });
+            infos.push(info);
+            fallbacks.push(...failed);
+            // Corrective turns stay on the model that answered.
+            models = models ? models.filter((m) => m.id === model) : null;
+            if (error) {
+                throw new HttpError(502, error.data?.message || error.message || 'OpenCode provider error', error.name || 'OpenCodeError');
+            }
+            const limiter = createOutputLimiter(generation);
+            const limited = limiter.push(content) + limiter.flush();
+            const reply = {
+                content: null,
+                reasoning: stripFunctionCalls(disableTools, reasoning) || null,
+                toolCalls: [],
+                finishReason: null,
+                stopSequence: limiter.stopSequence,
+                model,
+                fallbacks,
+                infos,
+                attempts: attempt + 1,
+                truncated: limiter.done
+            };
+            if (clientTools) {
+                const extracted = extractToolCalls(limited, new Set(clientTools.map((t) => t.name)), parallelToolCalls ? Infinity : 1);
+                reply.content = extracted.content || null;
+                reply.toolCalls = extracted.toolCalls.map(({ index, ...call }) => call);
+                if (!reply.toolCalls.length && reply.content === null) reply.content = '';
+            } else {
+                reply.content = stripFunctionCalls(disableTools, limited);
+            }
+            reply.finishReason = resolveFinishReason({ limitReason: limiter.finishReason, toolCallCount: reply.toolCalls.length, info });
+            // Tool calls and replies cut at max_tokens are returned as they are.
+            if (!responseFormat || reply.toolCalls.length || reply.finishReason === 'length') return reply;
+
+            const checked = checkStructuredOutput(reply.content, responseFormat);
+            if (checked.ok) {
+                reply.content = JSON.stringify(checked.value);
+                return reply;
+            }
+            if (attempt >= JSON_MAX_RETRIES) {
+                throw new HttpError(
+                    502,
+                    `Model output did not match response_format after ${attempt + 1} attempt(s): ${checked.errors.slice(0, 5).join('; ')}`,
+                    'invalid_response_error',
+                    'response_format_mismatch'
+                );
+            }
+            log.debug('Structured output invalid, retrying', { sessionId, attempt: attempt + 1, errors: checked.errors.slice(0, 5) });
+            promptParams = {
+                ...promptParams,
+                body: { ...promptParams.body, parts: [{ type: 'text', text: `USER: ${buildCorrectionPrompt(checked.errors)}` }] }
+            };
+        }
+    }
 
-                    const { parts, system: systemMsg, lastUserMsg } = buildPromptParts(messages);
-                    const systemWithGuard = applyToolGuard(systemMsg);
-                    if (!parts.length) {
-                        return res.status(400).json({ error: { message: 'messages must include at least one non-system text message' } });
-                    }
-                    logDebug('Request start', {
-                        model: `${pID}/${mID}`,
-                        stream: Boolean(stream),
-                        userMessages: messages.length,
-                        system: Boolean(systemMsg),
-                        lastUserLength: lastUserMsg.length,
-                        parts: parts.length,
-                        disableTools: DISABLE_TOOLS
-                    });
+    // Report the model serving a request in a header, for as long as headers can still be set.
+    const reportModel = (res, modelId) => {
+        if (!res.headersSent) res.setHeader('X-OpenCode-Model', modelId);
+    };
 
-                    // Ensure backend is running
-                    await ensureBackend(config);
-
-                    // Create session
-                    const sessionRes = await client.session.create();
-                    sessionId = sessionRes.data?.id;
-                    if (!sessionId) throw new Error('Failed to create OpenCode session');
-                    logDebug('Session created', { sessionId });
-
-                    const promptParams = {
-                        path: { id: sessionId },
-                        body: {
-                            model: { providerID: pID, modelID: mID },
-                            system: systemWithGuard,
-                            parts: parts
-                        }
-                    };
-                    const toolOverrides = await getToolOverrides();
-                    if (toolOverrides && Object.keys(toolOverrides).length > 0) {
-                        promptParams.body.tools = toolOverrides;
-                    }
+    const abortSession = (sessionId) => {
+        clientFor(sessionId).session.abort({ path: { id: sessionId } })
+            .catch((e) => log.debug('Session abort failed', { sessionId, error: e.message }));
+    };
 
-                    if (stream) {
-                        res.setHeader('Content-Type', 'text/event-stream');
-                        res.setHeader('Cache-Control', 'no-cache');
-                        const id = `chatcmpl-${Date.now()}`;
-                        const filterContentDelta = createToolCallFilter();
-                        const filterReasoningDelta = createToolCallFilter();
-                        let streamedContent = '';
-                        let streamedReasoning = '';
-
-                        const sendDelta = (delta, isReasoning = false) => {
-                            if (!delta) return;
-                            const filtered = isReasoning ? filterReasoningDelta(delta) : filterContentDelta(delta);
-                            if (!filtered) return;
-                            if (isReasoning) {
-                                streamedReasoning += filtered;
-                            } else {
-                                streamedContent += filtered;
-                            }
-                            const chunk = {
-                                id,
-                                object: 'chat.completion.chunk',
-                                created: Math.floor(Date.now() / 1000),
-                                model: `${pID}/${mID}`,
-                                choices: [{ index: 0, delta: {}, finish_reason: null }]
-                            };
-                            if (isReasoning) {
-                                chunk.choices[0].delta.reasoning_content = filtered;
-                            } else {
-                                chunk.choices[0].delta.content = filtered;
-                            }
-                            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-                        };
+    /**
+     * Create sessions until `sessionIds` holds `count`, and abort their generations if the client goes away.
+     * A request keeps to one backend: new sessions join the backend of a session it continues, otherwise
+     * the pool picks one.
+     */
+    const openSessions = async (sessionIds, count, signal) => {
+        let backend = sessionIds.length ? sessionManager.backendOf(sessionIds[0]) : null;
+        if (backend && !backendPool.isAvailable(backend)) {
+            throw new HttpError(503, `The OpenCode backend holding session ${sessionIds[0]} is unavailable`, 'api_error', 'backend_unavailable');
+        }
+        if (!backend && sessionIds.length < count) backend = await backendPool.pick();
+        while (sessionIds.length < count) {
+            const sessionId = await sessionManager.create(backend);
+            if (!sessionId) throw new Error('Failed to create OpenCode session');
+            sessionIds.push(sessionId);
+            log.debug('Session created', { sessionId, backend: backend.id });
+        }
+        const abortUpstream = () => sessionIds.forEach(abortSession);
+        if (signal.aborted) {
+            abortUpstream();
+            throw new RequestCancelledError();
+        }
+        signal.addEventListener('abort', abortUpstream, { once: true });
+    };
 
-                        let collected = null;
-                        try {
-                            const collectPromise = collectFromEvents(
-                                sessionId,
-                                REQUEST_TIMEOUT_MS,
-                                sendDelta,
-                                DEFAULT_EVENT_FIRST_DELTA_TIMEOUT_MS,
-                                DEFAULT_EVENT_IDLE_TIMEOUT_MS
-                            );
-                            const safeCollect = collectPromise.catch((err) => ({ __error: err }));
-                            const promptStart = Date.now();
-                            await promptWithTimeout(promptParams, REQUEST_TIMEOUT_MS);
-                            logDebug('Prompt sent', { sessionId, ms: Date.now() - promptStart });
-                            collected = await safeCollect;
-                        } catch (e) {
-                            throw e;
-                        }
+    /**
+     * Continue a known conversation with only the new turns: when session affinity maps `messages` onto a
+     * remembered OpenCode session, that session is pushed onto `sessionIds` and the parts of the turns it has
+     * not seen are returned. Otherwise `parts` (the whole conversation) is returned unchanged. Only
+     * conversations remembered for the same API key (`owner`, the key name) are continued.
+     */
+    const continueConversation = (messages, parts, explicitSessionKey, sessionIds, owner) => {
+        const affinity = sessionAffinity ? sessionAffinity.claim(messages, explicitSessionKey, owner) : null;
+        const backend = affinity?.sessionId ? sessionManager.backendOf(affinity.sessionId) : null;
+        if (backend && !backendPool.isAvailable(backend)) {
+            log.debug('Session backend unavailable, starting fresh', { staleSessionId: affinity.sessionId, backend: backend.id });
+        } else if (affinity?.sessionId) {
+            const newTurns = buildPromptParts(messages, affinity.fromIndex).parts;
+            if (newTurns.length) {
+                sessionIds.push(affinity.sessionId);
+                sessionManager.acquire(affinity.sessionId);
+                log.debug('Session reused', { sessionId: affinity.sessionId, reason: affinity.reason, newParts: newTurns.length });
+                return newTurns;
+            }
+        } else if (affinity?.reason === 'diverged') {
+            log.debug('Session history diverged, starting fresh', { staleSessionId: affinity.staleSessionId });
+        }
+        return parts;
+    };
 
-                        if (collected && collected.__error) {
-                            logDebug('SSE collect error, falling back to polling', {
-                                sessionId,
-                                error: collected.__error?.message
-                            });
-                            const { content, reasoning, error } = await pollForAssistantResponse(sessionId, REQUEST_TIMEOUT_MS);
-                            if (error && !content && !reasoning) {
-                                sendDelta(`[Proxy Error] ${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}`);
-                            } else {
-                                const safeReasoning = stripFunctionCalls(reasoning, false);
-                                const safeContent = stripFunctionCalls(content, false);
-                                if (safeReasoning) sendDelta(safeReasoning, true);
-                                if (safeContent) sendDelta(safeContent, false);
-                            }
-                        } else if (collected && collected.noData) {
-                            logDebug('Fallback to polling (stream)', { sessionId });
-                            const { content, reasoning, error } = await pollForAssistantResponse(sessionId, REQUEST_TIMEOUT_MS);
-                            if (error && !content && !reasoning) {
-                                sendDelta(`[Proxy Error] ${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}`);
-                            } else {
-                                const safeReasoning = stripFunctionCalls(reasoning, false);
-                                const safeContent = stripFunctionCalls(content, false);
-                                if (safeReasoning) sendDelta(safeReasoning, true);
-                                if (safeContent) sendDelta(safeContent, false);
-                            }
-                        } else if (collected && collected.idleTimeout) {
-                            logDebug('SSE idle timeout, polling for completion', { sessionId });
-                            const { content, reasoning, error } = await pollForAssistantResponse(sessionId, REQUEST_TIMEOUT_MS);
-                            if (error && !content && !reasoning) {
-                                sendDelta(`[Proxy Error] ${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}`);
-                            } else {
-                                const safeReasoning = stripFunctionCalls(reasoning, false);
-                                const safeContent = stripFunctionCalls(content, false);
-                                const remainingReasoning = safeReasoning && safeReasoning.startsWith(streamedReasoning)
-                                    ? safeReasoning.slice(streamedReasoning.length)
-                                    : safeReasoning;
-                                const remainingContent = safeContent && safeContent.startsWith(streamedContent)
-                                    ? safeContent.slice(streamedContent.length)
-                                    : safeContent;
-                                if (remainingReasoning) sendDelta(remainingReasoning, true);
-                                if (remainingContent) sendDelta(remainingContent, false);
-                            }
-                        }
+    const listSessionMessages = async (sessionId) => {
+        const messagesRes = await clientFor(sessionId).session.messages({ path: { id: sessionId } });
+        return Array.isArray(messagesRes?.data) ? messagesRes.data : [];
+    };
 
-                        if (collected && !streamedContent && !streamedReasoning && (collected.reasoning || collected.content)) {
-                            if (collected.reasoning) sendDelta(collected.reasoning, true);
-                            if (collected.content) sendDelta(collected.content, false);
-                        }
+    // The ID of the last assistant message in a session, for a reply whose message info never arrived
+    // (e.g. a stream cut at max_output_tokens); null when it cannot be read.
+    const latestAssistantMessageId = async (sessionId) => {
+        try {
+            const list = await listSessionMessages(sessionId);
+            return list.filter((message) => message.info?.role === 'assistant').at(-1)?.info.id ?? null;
+        } catch (e) {
+            log.debug('Failed to read session messages', { sessionId, error: e.message });
+            return null;
+        }
+    };
 
-                        res.write(`data: ${JSON.stringify({ id, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
-                        res.write('data: [DONE]\n\n');
-                        res.end();
-                    } else {
-                        const promptStart = Date.now();
-                        await promptWithTimeout(promptParams, REQUEST_TIMEOUT_MS);
-                        logDebug('Prompt sent', { sessionId, ms: Date.now() - promptStart });
-                        const { content, reasoning, error } = await pollForAssistantResponse(sessionId, REQUEST_TIMEOUT_MS);
-                        if (error && !content && !reasoning) {
-                            return res.status(502).json({
-                                error: {
-                                    message: error.data?.message || error.message || 'OpenCode provider error',
-                                    type: error.name || 'OpenCodeError'
-                                }
-                            });
-                        }
-                        const safeContent = stripFunctionCalls(content);
-                        const safeReasoning = stripFunctionCalls(reasoning);
-
-                        res.json({
-                            id: `chatcmpl-${Date.now()}`,
-                            object: 'chat.completion',
-                            created: Math.floor(Date.now() / 1000),
-                            model: `${pID}/${mID}`,
-                            choices: [{
-                                index: 0,
-                                message: { role: 'assistant', content: safeContent, reasoning_content: safeReasoning || null },
-                                finish_reason: 'stop'
-                            }],
-                            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
-                        });
-                    }
+    /**
+     * Where a request continuing the stored response `entry` runs: null when the response is still the last
+     * turn of its session, which is then continued as it is. A response that later turns were added to (the
+     * client branches off an earlier response) gets a fork of its session that ends with it, so the model
+     * does not see the turns of the other branch; the fork's ID is returned, in use.
+     */
+    const branchOffResponse = async (entry) => {
+        const list = await listSessionMessages(entry.sessionId);
+        const index = entry.messageId ? list.findIndex((message) => message.info?.id === entry.messageId) : -1;
+        if (index === -1) {
+            throw new HttpError(400, `Previous response '${entry.response.id}' can no longer be continued: its OpenCode message was not found.`, 'invalid_request_error', 'previous_response_unavailable');
+        }
+        if (index === list.length - 1) return null;
+        const forkId = await sessionManager.fork(entry.sessionId, list[index + 1].info.id);
+        if (!forkId) throw new Error('Failed to fork OpenCode session');
+        log.debug('Branching off an earlier response', { responseId: entry.response.id, sessionId: entry.sessionId, forkId });
+        return forkId;
+    };
+
+    // Whether a generation response was streamed (SSE, or NDJSON for the Ollama routes).
+    const isStreamed = (res) => /event-stream|ndjson/.test(String(res.getHeader('content-type') || ''));
+
+    /**
+     * The `model` metric label of a model id. Ids missing from the model catalog — a route is not checked
+     * against it while OpenCode is unreachable, so they can be any client string — are counted as `other`
+     * to keep the number of series bounded.
+     */
+    const modelLabel = (id) => {
+        if (!id) return 'unknown';
+        const slash = id.indexOf('/');
+        return slash > 0 && modelCatalog.has(id.slice(0, slash), id.slice(slash + 1)) ? id : 'other';
+    };
+
+    /**
+     * Count a finished generation request in the metrics. `audit` is as for `recordAudit`.
+     */
+    const recordMetrics = (req, res, audit) => {
+        const { trace } = audit;
+        const labels = {
+            endpoint: `${req.baseUrl}${req.route?.path || req.path}`,
+            model: modelLabel(trace.models[0] || audit.model)
+        };
+        requestsTotal.inc({ ...labels, status: audit.cancelled ? 499 : res.statusCode });
+        requestDuration.observe(labels, (Date.now() - audit.requestStart) / 1000);
+        if (trace.firstTokenAt) firstTokenLatency.observe({ model: labels.model }, (trace.firstTokenAt - audit.requestStart) / 1000);
+        if (audit.taskStartedAt) queueWait.observe({ model: labels.model }, (audit.taskStartedAt - audit.requestStart) / 1000);
+        const stream = isStreamed(res);
+        trace.sources.forEach((source) => replySources.inc({ source, stream }));
+        trace.fallbacks.forEach((fallback) => modelFallbacks.inc({ model: modelLabel(fallback.model) }));
+    };
+
+    /**
+     * Write the audit log record of a finished generation request. `audit` holds the request's start and
+     * dequeue times, the model it was routed to, its sessions and their trace, and the error or
+     * cancellation that ended it.
+     */
+    const recordAudit = (req, res, audit) => {
+        if (!auditLog.enabled) return;
+        const { trace, error } = audit;
+        auditLog.record({
+            time: new Date(audit.requestStart).toISOString(),
+            requestId: res.locals.requestId,
+            endpoint: `${req.method} ${req.originalUrl.split('?')[0]}`,
+            key: res.locals.apiKey?.name ?? null,
+            requestedModel: typeof req.body?.model === 'string' ? req.body.model : null,
+            models: [...new Set(trace.models)],
+            stream: isStreamed(res),
+            cache: res.locals.responseCache?.status ?? null,
+            status: res.statusCode,
+            cancelled: audit.cancelled,
+            durationMs: Date.now() - audit.requestStart,
+            queueMs: audit.taskStartedAt ? audit.taskStartedAt - audit.requestStart : null,
+            firstTokenMs: trace.firstTokenAt ? trace.firstTokenAt - audit.requestStart : null,
+            sessions: audit.sessionIds,
+            sources: trace.sources,
+            fallbacks: trace.fallbacks,
+            tokens: trace.tokens,
+            error: error ? { message: error.message, type: error instanceof HttpError ? error.type : error.constructor.name } : null,
+            prompt: req.body,
+            completions: trace.completions
+        });
+    };
+
+    /**
+     * Shared lifecycle of the generation routes: model routing, queueing, cancellation when the client
+     * disconnects, session release and cleanup, and error responses. `handler({ signal, sessionIds, route, disableTools })`
+     * does the route's work and pushes the OpenCode sessions it uses onto `sessionIds`; `route` is the resolved
+     * fallback chain for `req.body.model`, limited to the models the request's API key may use, and
+     * `disableTools` the tool setting for that key. `sendError(res, httpError)` writes error responses.
+     * `serveCached(req, res, { route, disableTools })`, when given, may answer the request from the response
+     * cache before it is queued and returns true when it did.
+     */
+    const runQueuedGeneration = async (req, res, handler, sendError = sendHttpError, serveCached = null) => {
+        const requestStart = Date.now();
+        const abortController = new AbortController();
+        const { signal } = abortController;
+        let taskStarted = false;
+        const audit = { requestStart, taskStartedAt: null, model: null, sessionIds: [], trace: null, error: null, cancelled: false };
+        // Closing before the response was fully written means the client went away.
+        res.on('close', () => {
+            if (!res.writableEnded) abortController.abort();
+        });
+
+        const apiKey = res.locals.apiKey;
+        const disableTools = apiKey?.disableTools ?? DISABLE_TOOLS;
+        // Log lines of this request name the OpenCode sessions it opens.
+        const context = getRequestContext();
+        if (context) context.sessionIds = audit.sessionIds;
+        try {
+            const route = restrictRoute(await resolveModelRoute(req.body?.model), apiKey);
+            audit.model = route.models[0].id;
+            if (serveCached?.(req, res, { route, disableTools })) return;
+            // Every model in the fallback chain may use the full request timeout.
+            const queueTimeout = REQUEST_TIMEOUT_MS * route.models.length + 20000;
+            // The task may be started by another request's completion; it keeps this request's log context.
+            await requestQueue.run(bindRequestContext(async ({ switchKey }) => {
+                taskStarted = true;
+                // `runPrompt` moves the request to the per-model limit of each fallback model it tries.
+                if (context) context.enterModel = (model) => switchKey(model.id);
+                audit.taskStartedAt = Date.now();
+                const { sessionIds } = audit;
+
+                try {
+                    await handler({ signal, sessionIds, route, disableTools });
                 } catch (error) {
-                    console.error('[Proxy] API Error:', error.message);
-                    console.error('[Proxy] Error details:', error);
+                    if (error instanceof RequestCancelledError || signal.aborted) {
+                        audit.cancelled = true;
+                        log.info(`Request cancelled by client after ${Date.now() - requestStart}ms${sessionIds.length ? ' (sessions aborted)' : ''}`);
+                        return;
+                    }
+                    audit.error = error;
+                    lastRequestError = { message: error.message, at: Date.now(), requestId: res.locals.requestId };
+                    log.error('API error', { error });
 
-                    if (!res.headersSent) {
+                    if (!res.headersSent && error instanceof HttpError) {
+                        sendError(res, error);
+                    } else if (!res.headersSent) {
                         let errorMessage = error.message;
                         let statusCode = 500;
                         if (error.message && error.message.includes('Request timeout')) {
@@ -815,202 +1508,1504 @@ function createApp(config) {
                         if (error.message && error.message.includes('ENOENT')) {
                             errorMessage = 'OpenCode backend file access error. This may be a Windows compatibility issue. Please try restarting the service.';
                         }
-                        res.status(statusCode).json({
-                            error: {
-                                message: errorMessage,
-                                type: error.constructor.name
-                            }
-                        });
+                        sendError(res, new HttpError(statusCode, errorMessage, error.constructor.name));
+                    } else if (!res.writableEnded) {
+                        // Mid-stream failure: close the stream rather than leave the client waiting.
+                        res.end();
                     }
-                    if (sessionId) {
+                    // Sessions a stored response or remembered conversation still points at are kept.
+                    for (const sessionId of sessionIds.filter((id) => !isRetainedSession(id))) {
                         try {
-                            await client.session.delete({ path: { id: sessionId } });
+                            await sessionManager.remove(sessionId);
                         } catch (e) {
-                            console.error('[Proxy] Failed to cleanup session on error:', e.message);
+                            log.error('Failed to cleanup session on error', { sessionId, error: e.message });
                         }
                     }
                 } finally {
-                    if (eventStream && eventStream.close) {
-                        eventStream.close();
-                    }
+                    audit.trace = takeSessionTraces(sessionIds);
+                    res.locals.rateLimit?.recordTokens(audit.trace.tokens);
+                    for (const sessionId of sessionIds) await sessionManager.finish(sessionId);
                 }
-            }, REQUEST_TIMEOUT_MS + 20000);
+            }), { key: route.models[0].id, timeout: queueTimeout, signal });
         } catch (error) {
-            console.error('[Proxy] Request Handler Error:', error.message);
-            if (!res.headersSent) {
-                res.status(500).json({ error: { message: error.message, type: error.constructor.name } });
+            if (error instanceof RequestCancelledError) {
+                audit.cancelled = true;
+                // Running requests log their own cancellation; this one never left the queue.
+                if (!taskStarted) log.info(`Request cancelled by client while queued after ${Date.now() - requestStart}ms`);
+                return;
+            }
+            audit.error = error;
+            log.error('Request handler error', { error: error.message });
+            if (!res.headersSent && error instanceof HttpError) {
+                sendError(res, error);
+            } else if (!res.headersSent) {
+                sendError(res, new HttpError(500, error.message, error.constructor.name));
             }
+        } finally {
+            if (!audit.trace) audit.trace = takeSessionTraces(audit.sessionIds);
+            recordMetrics(req, res, audit);
+            recordAudit(req, res, audit);
         }
-    });
-
-    // Health check
-    app.get('/health', (req, res) => res.json({
-        status: 'ok',
-        backend: OPENCODE_SERVER_URL
-    }));
+    };
 
-    return { app, client };
-}
+    /**
+     * Response cache key of a chat request: the models it is routed to, its normalized conversation and
+     * system prompt, its tool and output format settings and its sampling parameters. Null for a malformed
+     * request, which the handler then rejects.
+     */
+    const chatCacheKey = (body, route, disableTools) => {
+        if (!Array.isArray(body.messages) || !body.messages.length) return null;
+        try {
+            const { parts, system } = buildPromptParts(body.messages);
+            const generation = parseGenerationOptions(body);
+            return hashCacheKey({
+                models: route.models.map((model) => model.id),
+                system,
+                parts,
+                tools: body.tools ?? null,
+                toolChoice: body.tool_choice ?? null,
+                parallelToolCalls: body.parallel_tool_calls ?? null,
+                responseFormat: body.response_format ?? null,
+                disableTools,
+                stop: generation.stop,
+                maxTokens: generation.maxTokens,
+                n: generation.n,
+                sampling: Object.fromEntries(UNSUPPORTED_SAMPLING_PARAMS.map((name) => [name, body[name] ?? null]))
+            });
+        } catch (e) {
+            return null;
+        }
+    };
 
-// Backend management state (per-instance)
-const backendState = new Map();
+    // Chat requests answered from the response cache skip the queue and the backend. The key and the
+    // request's Cache-Control directives are kept in res.locals.responseCache for storing the fresh reply.
+    // Only requests that ask for a deterministic reply, with an explicit `temperature: 0` and one choice, are
+    // cached. Any other request samples (OpenAI's default temperature is 1; OpenCode applies the model's own),
+    // so a repeat should get a new draw, not the stored one.
+    const serveCachedChat = (req, res, { route, disableTools }) => {
+        if (!responseCache.enabled) return false;
+        const body = req.body || {};
+        const key = chatCacheKey(body, route, disableTools);
+        if (!key) return false;
+        const deterministic = body.temperature === 0 && (body.n ?? 1) === 1;
+        const directives = deterministic ? cacheDirectives(req.get('cache-control')) : { read: false, write: false };
+        const cached = directives.read ? responseCache.get(key) : null;
+        const status = cached ? 'HIT' : directives.read ? 'MISS' : 'BYPASS';
+        res.locals.responseCache = { key, status, write: directives.write };
+        res.setHeader('X-Cache', status);
+        cacheResults.inc({ result: status.toLowerCase() });
+        if (!cached) return false;
+        log.debug('Response cache hit', { key, model: cached.models[0] });
+        sendCachedCompletion(res, cached, {
+            stream: Boolean(req.body.stream),
+            includeUsage: Boolean(req.body.stream && req.body.stream_options?.include_usage)
+        });
+        return true;
+    };
 
-/**
- * Backend Lifecycle Management
- */
-async function ensureBackend(config) {
-    const { OPENCODE_SERVER_URL, OPENCODE_PATH, USE_ISOLATED_HOME } = config;
-    const stateKey = OPENCODE_SERVER_URL;
-
-    if (!backendState.has(stateKey)) {
-        backendState.set(stateKey, {
-            isStarting: false,
-            process: null,
-            jailRoot: null
-        });
-    }
+    // Chat completions endpoint
+    app.post('/v1/chat/completions', (req, res) => runQueuedGeneration(req, res, async ({ signal, sessionIds, route, disableTools }) => {
+        const { messages, stream } = req.body;
+        const includeUsage = Boolean(stream && req.body.stream_options?.include_usage);
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: { message: 'messages array is required' } });
+        }
+        if (req.body.tools !== undefined && req.body.tools !== null && !Array.isArray(req.body.tools)) {
+            return res.status(400).json({ error: { message: 'tools must be an array' } });
+        }
 
-    const state = backendState.get(stateKey);
+        const { providerID: pID, modelID: mID } = route.models[0];
 
-    if (state.isStarting) {
-        // Wait for startup to complete
-        for (let i = 0; i < STARTING_WAIT_ITERATIONS; i++) {
-            await new Promise(r => setTimeout(r, STARTING_WAIT_INTERVAL_MS));
-            try {
-                await checkHealth(OPENCODE_SERVER_URL);
-                return;
-            } catch (e) { }
+        const tools = normalizeTools(req.body.tools);
+        const toolChoice = resolveToolChoice(req.body.tool_choice, tools);
+        if (!toolChoice) {
+            return res.status(400).json({ error: { message: 'tool_choice names a function that is not in tools' } });
         }
-        throw new Error('Backend startup timeout');
-    }
+        const generation = parseGenerationOptions(req.body, { strict: STRICT_PARAMS });
+        if (generation.ignored.length) {
+            res.setHeader('X-Proxy-Ignored-Params', generation.ignored.join(', '));
+            log.debug('Ignoring unsupported parameters', { params: generation.ignored });
+        }
+        const responseFormat = resolveResponseFormat(req.body.response_format);
+        const clientTools = tools.length && toolChoice.mode !== 'none' ? tools : null;
+        const parallelToolCalls = req.body.parallel_tool_calls !== false;
+        const toolInstructions = clientTools
+            ? buildToolInstructions(clientTools, toolChoice, parallelToolCalls)
+            : null;
+
+        const { parts, system: systemMsg, lastUserMsg, imageCount } = buildPromptParts(messages);
+        const systemWithGuard = applyToolGuard(disableTools, systemMsg, toolInstructions, buildResponseFormatInstructions(responseFormat));
+        if (!parts.length) {
+            return res.status(400).json({ error: { message: 'messages must include at least one non-system text message' } });
+        }
+        log.debug('Request start', {
+            model: `${pID}/${mID}`,
+            stream: Boolean(stream),
+            userMessages: messages.length,
+            system: Boolean(systemMsg),
+            lastUserLength: lastUserMsg.length,
+            parts: parts.length,
+            images: imageCount,
+            disableTools,
+            clientTools: clientTools ? clientTools.length : 0,
+            n: generation.n,
+            stop: generation.stop.length,
+            maxTokens: generation.maxTokens,
+            responseFormat: responseFormat ? responseFormat.type : null
+        });
 
-    try {
-        await checkHealth(OPENCODE_SERVER_URL);
-    } catch (err) {
-        state.isStarting = true;
-        console.log(`[Proxy] OpenCode backend not found at ${OPENCODE_SERVER_URL}. Starting...`);
+        // Ensure backend is running
+        await backendPool.ready();
 
-        // Kill existing process if any
-        if (state.process) {
-            try {
-                state.process.kill();
-            } catch (e) { }
+        const models = imageCount > 0 ? await selectImageModels(route.models) : route.models;
+
+        // With n > 1 there is no single reply to continue from, so every choice gets a fresh session.
+        const explicitSessionKey = req.get('x-session-id') || (typeof req.body.user === 'string' && req.body.user) || null;
+        const useAffinity = Boolean(sessionAffinity) && generation.n === 1;
+        let promptParts = useAffinity ? continueConversation(messages, parts, explicitSessionKey, sessionIds, res.locals.apiKey?.name) : parts;
+        if (imageCount > 0) {
+            promptParts = await resolveImages(promptParts);
         }
 
-        // Cleanup old temp dir
-        if (state.jailRoot && fs.existsSync(state.jailRoot)) {
-            try {
-                fs.rmSync(state.jailRoot, { recursive: true, force: true });
-            } catch (e) { }
-        }
-
-        const isWindows = process.platform === 'win32';
-        const useIsolatedHome = typeof USE_ISOLATED_HOME === 'boolean'
-            ? USE_ISOLATED_HOME
-            : String(process.env.OPENCODE_USE_ISOLATED_HOME || '').toLowerCase() === 'true' ||
-            process.env.OPENCODE_USE_ISOLATED_HOME === '1';
-
-        // On Windows, don't use isolated fake-home to avoid path issues
-        // On Unix-like systems, use jail for isolation
-        const salt = Math.random().toString(36).substring(7);
-        const jailRoot = path.join(os.tmpdir(), 'opencode-proxy-jail', salt);
-        state.jailRoot = jailRoot;
-        const workspace = path.join(jailRoot, 'empty-workspace');
-
-        let envVars;
-        let cwd;
-
-        if (isWindows) {
-            // Windows: use normal user home to avoid opencode storage path issues
-            fs.mkdirSync(workspace, { recursive: true });
-            cwd = workspace;
-            envVars = {
-                ...process.env,
-                OPENCODE_PROJECT_DIR: workspace
+        await openSessions(sessionIds, generation.n, signal);
+        res.setHeader('X-OpenCode-Session-Id', sessionIds.join(', '));
+
+        const toolOverrides = await getToolOverrides(disableTools, Boolean(clientTools));
+        const buildPromptParams = (sessionId) => {
+            const promptParams = {
+                path: { id: sessionId },
+                body: {
+                    model: { providerID: pID, modelID: mID },
+                    system: systemWithGuard,
+                    parts: promptParts
+                }
             };
-            console.log('[Proxy] Running on Windows, using standard user home directory');
-        } else {
-            fs.mkdirSync(workspace, { recursive: true });
-            cwd = workspace;
+            if (toolOverrides && Object.keys(toolOverrides).length > 0) {
+                promptParams.body.tools = toolOverrides;
+            }
+            return promptParams;
+        };
+        const describeError = (error) => `${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}`;
+
+        const completionId = `chatcmpl-${Date.now()}`;
+        // The model that answers each choice; differs from the requested one after a fallback.
+        const servedModels = sessionIds.map(() => models[0].id);
+        const onModel = (index) => (model) => {
+            servedModels[index] = model.id;
+            reportModel(res, model.id);
+        };
+        const writeChunk = (index, delta, finishReason = null) => {
+            const chunk = {
+                id: completionId,
+                object: 'chat.completion.chunk',
+                created: Math.floor(Date.now() / 1000),
+                model: servedModels[index],
+                choices: [{ index, delta, finish_reason: finishReason }]
+            };
+            if (includeUsage) chunk.usage = null;
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        };
+        const startStream = () => {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+        };
+        // Complete replies are kept for repeats of this request, unless it was sent with Cache-Control: no-store.
+        const cacheReply = (choices, infos) => {
+            const cacheState = res.locals.responseCache;
+            if (!cacheState?.write) return;
+            responseCache.set(cacheState.key, { models: [...servedModels], choices, usage: combineUsage(infos) });
+        };
+        const endStream = (infos) => {
+            if (includeUsage) {
+                const usageChunk = {
+                    id: completionId,
+                    object: 'chat.completion.chunk',
+                    created: Math.floor(Date.now() / 1000),
+                    model: servedModels[0],
+                    choices: [],
+                    usage: combineUsage(infos)
+                };
+                res.write(`data: ${JSON.stringify(usageChunk)}\n\n`);
+            }
+            res.write('data: [DONE]\n\n');
+            res.end();
+        };
 
-            if (useIsolatedHome) {
-                // Unix-like: use isolated fake-home
-                const fakeHome = path.join(jailRoot, 'fake-home');
+        if (stream && !responseFormat) {
+            startStream();
+
+            const streamChoice = async (index, sessionId) => {
+                const contentFilter = createToolCallFilter(disableTools, clientTools, parallelToolCalls);
+                const reasoningFilter = createToolCallFilter(disableTools);
+                const limiter = createOutputLimiter(generation);
+                let toolCallCount = 0;
+                // What the client receives, remembered for session affinity and the response cache.
+                let replyContent = '';
+                let replyReasoning = '';
+                const replyToolCalls = [];
+
+                const emitFiltered = ({ text, toolCalls }, isReasoning) => {
+                    if (text) {
+                        if (isReasoning) replyReasoning += text;
+                        else replyContent += text;
+                        writeChunk(index, isReasoning ? { reasoning_content: text } : { content: text });
+                    }
+                    if (toolCalls.length) {
+                        replyToolCalls.push(...toolCalls);
+                        toolCallCount += toolCalls.length;
+                        writeChunk(index, { tool_calls: toolCalls });
+                    }
+                };
 
-                // Create necessary opencode directories
-                const opencodeDir = path.join(fakeHome, '.local', 'share', 'opencode');
-                const storageDir = path.join(opencodeDir, 'storage');
-                const messageDir = path.join(storageDir, 'message');
-                const sessionDir = path.join(storageDir, 'session');
+                const onDelta = (delta, isReasoning) => {
+                    if (isReasoning) {
+                        emitFiltered(reasoningFilter.push(delta), true);
+                        return;
+                    }
+                    if (limiter.done) return;
+                    const text = limiter.push(delta);
+                    if (text) emitFiltered(contentFilter.push(text), false);
+                    // Nothing more will be sent for this choice, so stop paying for generation.
+                    if (limiter.done) abortSession(sessionId);
+                };
 
-                [fakeHome, opencodeDir, storageDir, messageDir, sessionDir].forEach(d => {
-                    if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
-                });
+                let result;
+                try {
+                    result = await runPrompt(buildPromptParams(sessionId), { onDelta, signal, models, onModel: onModel(index) });
+                } catch (e) {
+                    // Aborting after a stop sequence can surface as an error; the reply is already complete.
+                    if (!limiter.done || e instanceof RequestCancelledError) throw e;
+                    result = { info: null, error: null };
+                }
 
-                envVars = {
-                    ...process.env,
-                    HOME: fakeHome,
-                    USERPROFILE: fakeHome,
-                    OPENCODE_PROJECT_DIR: workspace
+                const failed = Boolean(result.error) && !limiter.done;
+                if (failed) {
+                    writeChunk(index, { content: `[Proxy Error] ${describeError(result.error)}` });
+                } else {
+                    const rest = limiter.flush();
+                    if (rest) emitFiltered(contentFilter.push(rest), false);
+                }
+                emitFiltered(reasoningFilter.flush(), true);
+                emitFiltered(contentFilter.flush(), false);
+                const finishReason = resolveFinishReason({ limitReason: limiter.finishReason, toolCallCount, info: result.info });
+                writeChunk(index, {}, finishReason);
+                return {
+                    info: result.info,
+                    failed,
+                    finishReason,
+                    reasoning: replyReasoning,
+                    reusable: !failed && !limiter.done,
+                    reply: {
+                        role: 'assistant',
+                        content: replyContent,
+                        tool_calls: replyToolCalls.length ? replyToolCalls : undefined
+                    }
                 };
-                console.log('[Proxy] Using isolated home for OpenCode');
+            };
+
+            const results = await Promise.all(sessionIds.map((sessionId, index) => streamChoice(index, sessionId)));
+            endStream(results.map((r) => r.info));
+            if (!results.some((r) => r.failed)) {
+                cacheReply(results.map(({ reply, reasoning, finishReason }, index) => {
+                    const message = { role: 'assistant', content: reply.content, reasoning_content: reasoning || undefined };
+                    if (reply.tool_calls) message.tool_calls = reply.tool_calls.map(({ index: callIndex, ...call }) => call);
+                    return { index, message, finish_reason: finishReason };
+                }), results.map((r) => r.info));
+            }
+            // A reply cut short by stop or max_tokens no longer matches what the session holds.
+            if (useAffinity && results[0].reusable) {
+                sessionAffinity.remember(messages, results[0].reply, sessionIds[0], explicitSessionKey, res.locals.apiKey?.name);
+            }
+        } else {
+            const completeChoice = async (index, sessionId) => {
+                const reply = await completeReply(buildPromptParams(sessionId), { generation, disableTools, clientTools, parallelToolCalls, responseFormat, signal, models });
+                onModel(index)({ id: reply.model });
+                const message = { role: 'assistant', content: reply.content, reasoning_content: reply.reasoning };
+                if (reply.toolCalls.length) message.tool_calls = reply.toolCalls;
+                return {
+                    index,
+                    message,
+                    finish_reason: reply.finishReason,
+                    infos: reply.infos,
+                    // Corrective turns and truncated replies leave the session out of step with the client.
+                    reusable: reply.attempts === 1 && !reply.truncated
+                };
+            };
+
+            const choices = await Promise.all(sessionIds.map((sessionId, index) => completeChoice(index, sessionId)));
+            const infos = choices.flatMap((choice) => choice.infos);
+            if (stream) {
+                // Structured output is only known to be valid once complete, so it is sent in one piece.
+                startStream();
+                choices.forEach(({ index, message, finish_reason: finishReason }) => {
+                    if (message.reasoning_content) writeChunk(index, { reasoning_content: message.reasoning_content });
+                    if (message.content) writeChunk(index, { content: message.content });
+                    if (message.tool_calls) {
+                        writeChunk(index, { tool_calls: message.tool_calls.map((call, i) => ({ index: i, ...call })) });
+                    }
+                    writeChunk(index, {}, finishReason);
+                });
+                endStream(infos);
             } else {
-                envVars = {
-                    ...process.env,
-                    OPENCODE_PROJECT_DIR: workspace
+                res.json({
+                    id: completionId,
+                    object: 'chat.completion',
+                    created: Math.floor(Date.now() / 1000),
+                    model: servedModels[0],
+                    choices: choices.map(({ infos: choiceInfos, reusable, ...choice }) => choice),
+                    usage: combineUsage(infos)
+                });
+            }
+            cacheReply(choices.map(({ infos: choiceInfos, reusable, ...choice }) => choice), infos);
+            if (useAffinity && choices[0].reusable) {
+                sessionAffinity.remember(messages, choices[0].message, sessionIds[0], explicitSessionKey, res.locals.apiKey?.name);
+            }
+        }
+    }, sendHttpError, serveCachedChat));
+
+    // Legacy text completions endpoint
+    app.post('/v1/completions', (req, res) => runQueuedGeneration(req, res, async ({ signal, sessionIds, route, disableTools }) => {
+        const { stream } = req.body;
+        const includeUsage = Boolean(stream && req.body.stream_options?.include_usage);
+        const prompts = normalizeCompletionPrompts(req.body.prompt);
+        const suffix = typeof req.body.suffix === 'string' && req.body.suffix ? req.body.suffix : null;
+        const echo = req.body.echo === true;
+        const generation = parseGenerationOptions(req.body, { strict: STRICT_PARAMS });
+        if (generation.ignored.length) {
+            res.setHeader('X-Proxy-Ignored-Params', generation.ignored.join(', '));
+            log.debug('Ignoring unsupported parameters', { params: generation.ignored });
+        }
+        const choiceCount = prompts.length * generation.n;
+        if (choiceCount > MAX_COMPLETION_CHOICES) {
+            throw new HttpError(400, `prompts x n must not exceed ${MAX_COMPLETION_CHOICES}`, 'invalid_request_error', 'too_many_choices');
+        }
+
+        const { providerID: pID, modelID: mID } = route.models[0];
+        log.debug('Completion request start', {
+            model: `${pID}/${mID}`,
+            stream: Boolean(stream),
+            prompts: prompts.length,
+            suffix: Boolean(suffix),
+            n: generation.n,
+            maxTokens: generation.maxTokens
+        });
+
+        await backendPool.ready();
+        await openSessions(sessionIds, choiceCount, signal);
+        res.setHeader('X-OpenCode-Session-Id', sessionIds.join(', '));
+
+        const toolOverrides = await getToolOverrides(disableTools);
+        // As in the OpenAI API, choice i answers prompts[floor(i / n)].
+        const promptFor = (index) => prompts[Math.floor(index / generation.n)];
+        const buildPromptParams = (sessionId, promptText) => {
+            const { system, parts } = buildCompletionPrompt(promptText, suffix);
+            const promptParams = {
+                path: { id: sessionId },
+                body: {
+                    model: { providerID: pID, modelID: mID },
+                    system: applyToolGuard(disableTools, system),
+                    parts
+                }
+            };
+            if (toolOverrides && Object.keys(toolOverrides).length > 0) {
+                promptParams.body.tools = toolOverrides;
+            }
+            return promptParams;
+        };
+
+        const completionId = `cmpl-${Date.now()}`;
+        const servedModels = sessionIds.map(() => route.models[0].id);
+        const onModel = (index) => (model) => {
+            servedModels[index] = model.id;
+            reportModel(res, model.id);
+        };
+        const buildChunk = (choices, index = 0) => ({
+            id: completionId,
+            object: 'text_completion',
+            created: Math.floor(Date.now() / 1000),
+            model: servedModels[index],
+            choices
+        });
+
+        if (stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            const writeChunk = (index, text, finishReason = null) => {
+                const chunk = buildChunk([{ text, index, logprobs: null, finish_reason: finishReason }], index);
+                if (includeUsage) chunk.usage = null;
+                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            };
+
+            const streamChoice = async (index, sessionId) => {
+                const promptText = promptFor(index);
+                const filter = createToolCallFilter(disableTools);
+                const limiter = createOutputLimiter(generation);
+                const emit = ({ text }) => {
+                    if (text) writeChunk(index, text);
                 };
-                console.log('[Proxy] Using real HOME for OpenCode (isolation disabled)');
+                if (echo && promptText) writeChunk(index, promptText);
+
+                const onDelta = (delta, isReasoning) => {
+                    // Text completions have no place for reasoning.
+                    if (isReasoning || limiter.done) return;
+                    const text = limiter.push(delta);
+                    if (text) emit(filter.push(text));
+                    if (limiter.done) abortSession(sessionId);
+                };
+
+                let result;
+                try {
+                    result = await runPrompt(buildPromptParams(sessionId, promptText), { onDelta, signal, models: route.models, onModel: onModel(index) });
+                } catch (e) {
+                    if (!limiter.done || e instanceof RequestCancelledError) throw e;
+                    result = { info: null, error: null };
+                }
+                if (result.error && !limiter.done) {
+                    writeChunk(index, `[Proxy Error] ${result.error.name || 'OpenCodeError'}: ${result.error.data?.message || result.error.message || 'Unknown error'}`);
+                } else {
+                    const rest = limiter.flush();
+                    if (rest) emit(filter.push(rest));
+                }
+                emit(filter.flush());
+                writeChunk(index, '', resolveFinishReason({ limitReason: limiter.finishReason, info: result.info }));
+                return result.info;
+            };
+
+            const infos = await Promise.all(sessionIds.map((sessionId, index) => streamChoice(index, sessionId)));
+            if (includeUsage) {
+                res.write(`data: ${JSON.stringify({ ...buildChunk([]), usage: combineUsage(infos) })}\n\n`);
             }
+            res.write('data: [DONE]\n\n');
+            res.end();
+            return;
         }
 
-        const [, , portStr] = OPENCODE_SERVER_URL.split(':');
-        const port = portStr ? portStr.split('/')[0] : '4097';
-        const resolved = resolveOpencodePath(OPENCODE_PATH);
-        const opencodeBin = resolved.path || OPENCODE_PATH || OPENCODE_BASENAME;
-        if (resolved.path) {
-            console.log(`[Proxy] Using OpenCode binary: ${opencodeBin} (source: ${resolved.source})`);
+        const results = await Promise.all(sessionIds.map((sessionId, index) => runPrompt(
+            buildPromptParams(sessionId, promptFor(index)),
+            { signal, models: route.models, onModel: onModel(index) }
+        )));
+        const failed = results.find((r) => r.error);
+        if (failed) {
+            const { error } = failed;
+            throw new HttpError(502, error.data?.message || error.message || 'OpenCode provider error', error.name || 'OpenCodeError');
+        }
+        res.json({
+            ...buildChunk(results.map(({ content, info }, index) => {
+                const limiter = createOutputLimiter(generation);
+                const text = stripFunctionCalls(disableTools, limiter.push(content) + limiter.flush(), false);
+                return {
+                    text: echo ? promptFor(index) + text : text,
+                    index,
+                    logprobs: null,
+                    finish_reason: resolveFinishReason({ limitReason: limiter.finishReason, info })
+                };
+            })),
+            usage: combineUsage(results.map((r) => r.info))
+        });
+    }));
+
+    // Responses API endpoint
+    app.post('/v1/responses', (req, res) => runQueuedGeneration(req, res, async ({ signal, sessionIds, route, disableTools }) => {
+        const { stream } = req.body;
+        const store = req.body.store !== false;
+        const generation = parseGenerationOptions({
+            max_tokens: req.body.max_output_tokens,
+            temperature: req.body.temperature,
+            top_p: req.body.top_p
+        }, { strict: STRICT_PARAMS });
+        if (generation.ignored.length) {
+            res.setHeader('X-Proxy-Ignored-Params', generation.ignored.join(', '));
+            log.debug('Ignoring unsupported parameters', { params: generation.ignored });
+        }
+
+        const messages = responseInputToMessages(req.body.input, req.body.instructions);
+        const tools = normalizeTools(toChatTools(req.body.tools));
+        const toolChoice = resolveToolChoice(toChatToolChoice(req.body.tool_choice), tools);
+        if (!toolChoice) {
+            throw new HttpError(400, 'tool_choice names a function that is not in tools');
+        }
+        const clientTools = tools.length && toolChoice.mode !== 'none' ? tools : null;
+        const parallelToolCalls = req.body.parallel_tool_calls !== false;
+        const toolInstructions = clientTools
+            ? buildToolInstructions(clientTools, toolChoice, parallelToolCalls)
+            : null;
+        const responseFormat = resolveResponseFormat(toChatResponseFormat(req.body.text));
+        const { parts, system: systemMsg, imageCount } = buildPromptParts(messages);
+        if (!parts.length) {
+            throw new HttpError(400, 'input must include at least one non-system message');
+        }
+        const { providerID: pID, modelID: mID } = route.models[0];
+
+        // Chained responses continue the OpenCode session of the previous one, so only the new input is sent.
+        let previous = null;
+        if (req.body.previous_response_id) {
+            previous = responseStore.get(req.body.previous_response_id);
+            if (!previous) {
+                throw new HttpError(400, `Previous response with id '${req.body.previous_response_id}' not found.`, 'invalid_request_error', 'previous_response_not_found');
+            }
+        }
+        log.debug('Response request start', {
+            model: `${pID}/${mID}`,
+            stream: Boolean(stream),
+            items: messages.length,
+            parts: parts.length,
+            images: imageCount,
+            clientTools: clientTools ? clientTools.length : 0,
+            previousResponseId: req.body.previous_response_id || null
+        });
+
+        await backendPool.ready();
+        const models = imageCount > 0 ? await selectImageModels(route.models) : route.models;
+        const promptParts = imageCount > 0 ? await resolveImages(parts) : parts;
+
+        // A session runs one prompt at a time: a second request chaining off the same response while the
+        // first is still running would mix both turns into it, so it is refused. The check and the claim
+        // happen without an await in between.
+        if (previous) {
+            if (sessionManager.isInFlight(previous.sessionId)) {
+                throw new HttpError(409, `Previous response '${req.body.previous_response_id}' is being continued by another request; retry once it has finished.`, 'invalid_request_error', 'previous_response_in_use');
+            }
+            sessionIds.push(previous.sessionId);
+            sessionManager.acquire(previous.sessionId);
+            const branchId = await branchOffResponse(previous);
+            if (branchId) {
+                sessionIds[0] = branchId;
+                sessionManager.finish(previous.sessionId);
+            }
+        }
+        await openSessions(sessionIds, 1, signal);
+        const sessionId = sessionIds[0];
+        res.setHeader('X-OpenCode-Session-Id', sessionId);
+
+        const promptParams = {
+            path: { id: sessionId },
+            body: {
+                model: { providerID: pID, modelID: mID },
+                system: applyToolGuard(disableTools, systemMsg, toolInstructions, buildResponseFormatInstructions(responseFormat)),
+                parts: promptParts
+            }
+        };
+        const toolOverrides = await getToolOverrides(disableTools, Boolean(clientTools));
+        if (toolOverrides && Object.keys(toolOverrides).length > 0) {
+            promptParams.body.tools = toolOverrides;
+        }
+
+        const response = {
+            id: createResponseItemId('resp'),
+            object: 'response',
+            created_at: Math.floor(Date.now() / 1000),
+            status: 'in_progress',
+            error: null,
+            incomplete_details: null,
+            instructions: req.body.instructions ?? null,
+            max_output_tokens: req.body.max_output_tokens ?? null,
+            model: models[0].id,
+            output: [],
+            parallel_tool_calls: req.body.parallel_tool_calls ?? true,
+            previous_response_id: req.body.previous_response_id ?? null,
+            store,
+            temperature: req.body.temperature ?? null,
+            text: req.body.text ?? { format: { type: 'text' } },
+            tool_choice: req.body.tool_choice ?? 'auto',
+            tools: req.body.tools ?? [],
+            top_p: req.body.top_p ?? null,
+            usage: null,
+            metadata: req.body.metadata ?? {}
+        };
+
+        const onModel = (model) => {
+            response.model = model.id;
+            reportModel(res, model.id);
+        };
+
+        if (!stream) {
+            const reply = await completeReply(promptParams, { generation, disableTools, clientTools, parallelToolCalls, responseFormat, signal, models });
+            onModel({ id: reply.model });
+            Object.assign(response, responseStatusFor(reply.finishReason), {
+                output: buildOutputItems(reply),
+                usage: toResponseUsage(combineUsage(reply.infos))
+            });
+            if (store) responseStore.save(response, sessionId, reply.infos.at(-1)?.id ?? null);
+            res.json(response);
+            return;
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        const events = createResponseEventStream(res, response);
+        const fail = (code, message) => {
+            events.finish({ status: 'failed', error: { code, message } });
+            res.end();
+        };
+
+        // The assistant message this response ends with, stored so that later requests can branch off it.
+        let messageId = null;
+        if (responseFormat) {
+            // Structured output is only known to be valid once complete, so it is sent in one piece.
+            let reply;
+            try {
+                reply = await completeReply(promptParams, { generation, disableTools, clientTools, parallelToolCalls, responseFormat, signal, models });
+                onModel({ id: reply.model });
+            } catch (e) {
+                if (!(e instanceof HttpError)) throw e;
+                fail(e.code || 'server_error', e.message);
+                return;
+            }
+            messageId = reply.infos.at(-1)?.id ?? null;
+            events.reasoningDelta(reply.reasoning);
+            events.textDelta(reply.content);
+            reply.toolCalls.forEach(events.functionCall);
+            events.finish({ ...responseStatusFor(reply.finishReason), usage: toResponseUsage(combineUsage(reply.infos)) });
         } else {
-            console.warn(`[Proxy] Unable to resolve OpenCode binary for '${OPENCODE_PATH}'. Using as-is.`);
+            const contentFilter = createToolCallFilter(disableTools, clientTools, parallelToolCalls);
+            const reasoningFilter = createToolCallFilter(disableTools);
+            const limiter = createOutputLimiter(generation);
+            let toolCallCount = 0;
+            const emitFiltered = ({ text, toolCalls }, isReasoning) => {
+                if (isReasoning) events.reasoningDelta(text);
+                else events.textDelta(text);
+                toolCalls.forEach((call) => {
+                    toolCallCount += 1;
+                    events.functionCall(call);
+                });
+            };
+            const onDelta = (delta, isReasoning) => {
+                if (isReasoning) {
+                    emitFiltered(reasoningFilter.push(delta), true);
+                    return;
+                }
+                if (limiter.done) return;
+                const text = limiter.push(delta);
+                if (text) emitFiltered(contentFilter.push(text), false);
+                if (limiter.done) abortSession(sessionId);
+            };
+
+            let result;
+            try {
+                result = await runPrompt(promptParams, { onDelta, signal, models, onModel });
+            } catch (e) {
+                if (!limiter.done || e instanceof RequestCancelledError) throw e;
+                result = { info: null, error: null };
+            }
+            if (result.error && !limiter.done) {
+                const { error } = result;
+                fail('server_error', `${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}`);
+                return;
+            }
+            const rest = limiter.flush();
+            if (rest) emitFiltered(contentFilter.push(rest), false);
+            emitFiltered(reasoningFilter.flush(), true);
+            emitFiltered(contentFilter.flush(), false);
+            const finishReason = resolveFinishReason({ limitReason: limiter.finishReason, toolCallCount, info: result.info });
+            events.finish({ ...responseStatusFor(finishReason), usage: toResponseUsage(buildUsage(result.info)) });
+            messageId = result.info?.id ?? null;
         }
+        if (store) responseStore.save(response, sessionId, messageId || await latestAssistantMessageId(sessionId));
+        res.end();
+    }));
 
-        // Cross-platform spawn options
-        const useShell = process.platform === 'win32' || !resolved.path ||
-            opencodeBin.endsWith('.cmd') || opencodeBin.endsWith('.bat');
-        const spawnOptions = {
-            stdio: 'inherit',
-            cwd: cwd,
-            env: envVars,
-            shell: useShell  // Use shell only when needed (e.g., Windows .cmd or unresolved PATH)
+    app.get('/v1/responses/:id', (req, res) => {
+        const entry = responseStore.get(req.params.id);
+        if (!entry) {
+            return sendHttpError(res, new HttpError(404, `Response with id '${req.params.id}' not found.`, 'invalid_request_error', 'not_found'));
+        }
+        res.json(entry.response);
+    });
+
+    app.delete('/v1/responses/:id', (req, res) => {
+        if (!responseStore.remove(req.params.id)) {
+            return sendHttpError(res, new HttpError(404, `Response with id '${req.params.id}' not found.`, 'invalid_request_error', 'not_found'));
+        }
+        res.json({ id: req.params.id, object: 'response', deleted: true });
+    });
+
+    // Anthropic Messages API endpoint
+    app.post('/v1/messages', (req, res) => runQueuedGeneration(req, res, async ({ signal, sessionIds, route, disableTools }) => {
+        const { stream } = req.body;
+        const generation = parseGenerationOptions({
+            stop: req.body.stop_sequences,
+            max_tokens: req.body.max_tokens,
+            temperature: req.body.temperature,
+            top_p: req.body.top_p,
+            top_k: req.body.top_k
+        }, { strict: STRICT_PARAMS });
+        if (generation.ignored.length) {
+            res.setHeader('X-Proxy-Ignored-Params', generation.ignored.join(', '));
+            log.debug('Ignoring unsupported parameters', { params: generation.ignored });
+        }
+
+        const messages = anthropicToChatMessages(req.body.system, req.body.messages);
+        const tools = normalizeTools(anthropicToolsToChat(req.body.tools));
+        const toolChoice = resolveToolChoice(anthropicToolChoiceToChat(req.body.tool_choice), tools);
+        if (!toolChoice) {
+            throw new HttpError(400, 'tool_choice names a tool that is not in tools');
+        }
+        const clientTools = tools.length && toolChoice.mode !== 'none' ? tools : null;
+        const parallelToolCalls = req.body.tool_choice?.disable_parallel_tool_use !== true;
+        const toolInstructions = clientTools
+            ? buildToolInstructions(clientTools, toolChoice, parallelToolCalls)
+            : null;
+        const { parts, system: systemMsg, imageCount } = buildPromptParts(messages);
+        if (!parts.length) {
+            throw new HttpError(400, 'messages must include at least one non-empty message');
+        }
+        const { providerID: pID, modelID: mID } = route.models[0];
+        log.debug('Message request start', {
+            model: `${pID}/${mID}`,
+            stream: Boolean(stream),
+            messages: messages.length,
+            parts: parts.length,
+            images: imageCount,
+            clientTools: clientTools ? clientTools.length : 0,
+            stop: generation.stop.length,
+            maxTokens: generation.maxTokens
+        });
+
+        await backendPool.ready();
+        const models = imageCount > 0 ? await selectImageModels(route.models) : route.models;
+
+        const explicitSessionKey = req.get('x-session-id') || null;
+        let promptParts = continueConversation(messages, parts, explicitSessionKey, sessionIds, res.locals.apiKey?.name);
+        if (imageCount > 0) {
+            promptParts = await resolveImages(promptParts);
+        }
+
+        await openSessions(sessionIds, 1, signal);
+        const sessionId = sessionIds[0];
+        res.setHeader('X-OpenCode-Session-Id', sessionId);
+
+        const promptParams = {
+            path: { id: sessionId },
+            body: {
+                model: { providerID: pID, modelID: mID },
+                system: applyToolGuard(disableTools, systemMsg, toolInstructions),
+                parts: promptParts
+            }
+        };
+        const toolOverrides = await getToolOverrides(disableTools, Boolean(clientTools));
+        if (toolOverrides && Object.keys(toolOverrides).length > 0) {
+            promptParams.body.tools = toolOverrides;
+        }
+        const rememberReply = (content, toolCalls) => {
+            if (!sessionAffinity) return;
+            sessionAffinity.remember(messages, {
+                role: 'assistant',
+                content,
+                tool_calls: toolCalls.length ? toolCalls : undefined
+            }, sessionId, explicitSessionKey, res.locals.apiKey?.name);
+        };
+
+        const message = {
+            id: createMessageId(),
+            type: 'message',
+            role: 'assistant',
+            model: models[0].id,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: toAnthropicUsage([])
+        };
+
+        const onModel = (model) => {
+            message.model = model.id;
+            reportModel(res, model.id);
         };
 
-        state.process = spawn(opencodeBin, ['serve', '--port', port, '--hostname', '127.0.0.1'], spawnOptions);
+        if (!stream) {
+            const reply = await completeReply(promptParams, { generation, disableTools, clientTools, parallelToolCalls, signal, models });
+            onModel({ id: reply.model });
+            res.json({
+                ...message,
+                content: buildContentBlocks(reply),
+                stop_reason: toAnthropicStopReason(reply.finishReason, reply.stopSequence),
+                stop_sequence: reply.stopSequence,
+                usage: toAnthropicUsage(reply.infos)
+            });
+            if (!reply.truncated) rememberReply(reply.content, reply.toolCalls);
+            return;
+        }
 
-        // Handle spawn errors
-        state.process.on('error', (err) => {
-            console.error(`[Proxy] Failed to spawn OpenCode: ${err.message}`);
-            if (err.code === 'ENOENT') {
-                console.error(`[Proxy] Command '${OPENCODE_PATH}' not found. Please ensure OpenCode is installed and in your PATH.`);
-                console.error(`[Proxy] You can specify the full path in config.json using 'OPENCODE_PATH'`);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        const events = createMessageEventStream(res, message);
+
+        const contentFilter = createToolCallFilter(disableTools, clientTools, parallelToolCalls);
+        const reasoningFilter = createToolCallFilter(disableTools);
+        const limiter = createOutputLimiter(generation);
+        let replyContent = '';
+        const replyToolCalls = [];
+        const emitFiltered = ({ text, toolCalls }, isReasoning) => {
+            if (isReasoning) {
+                events.thinkingDelta(text);
+            } else {
+                replyContent += text;
+                events.textDelta(text);
+            }
+            toolCalls.forEach(({ index, ...call }) => {
+                replyToolCalls.push(call);
+                events.toolUse(call);
+            });
+        };
+        const onDelta = (delta, isReasoning) => {
+            if (isReasoning) {
+                emitFiltered(reasoningFilter.push(delta), true);
+                return;
             }
+            if (limiter.done) return;
+            const text = limiter.push(delta);
+            if (text) emitFiltered(contentFilter.push(text), false);
+            if (limiter.done) abortSession(sessionId);
+        };
+
+        let result;
+        try {
+            result = await runPrompt(promptParams, { onDelta, signal, models, onModel });
+        } catch (e) {
+            if (!limiter.done || e instanceof RequestCancelledError) throw e;
+            result = { info: null, error: null };
+        }
+        if (result.error && !limiter.done) {
+            const { error } = result;
+            events.error(new HttpError(502, `${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}`));
+            res.end();
+            return;
+        }
+        const rest = limiter.flush();
+        if (rest) emitFiltered(contentFilter.push(rest), false);
+        emitFiltered(reasoningFilter.flush(), true);
+        emitFiltered(contentFilter.flush(), false);
+        const finishReason = resolveFinishReason({ limitReason: limiter.finishReason, toolCallCount: replyToolCalls.length, info: result.info });
+        events.finish({
+            stopReason: toAnthropicStopReason(finishReason, limiter.stopSequence),
+            stopSequence: limiter.stopSequence,
+            usage: toAnthropicUsage([result.info])
         });
+        res.end();
+        // A reply cut short by stop_sequences or max_tokens no longer matches what the session holds.
+        if (!limiter.done) rememberReply(replyContent, replyToolCalls);
+    }, sendAnthropicError));
 
-        // Wait for backend to be ready
-        let started = false;
-        for (let i = 0; i < STARTUP_WAIT_ITERATIONS; i++) {
-            await new Promise(r => setTimeout(r, STARTUP_WAIT_INTERVAL_MS));
-            try {
-                await checkHealth(OPENCODE_SERVER_URL);
-                console.log('[Proxy] OpenCode backend ready.');
-                started = true;
-                break;
-            } catch (e) { }
+    // Rough prompt size for Anthropic clients that budget their context before sending
+    app.post('/v1/messages/count_tokens', (req, res) => {
+        try {
+            const messages = anthropicToChatMessages(req.body.system, req.body.messages);
+            const { parts, system } = buildPromptParts(messages);
+            const text = [system, ...parts.filter((p) => p.type === 'text').map((p) => p.text)].join('\n');
+            const tools = req.body.tools ? JSON.stringify(req.body.tools) : '';
+            res.json({ input_tokens: estimateTokens(text) + estimateTokens(tools) });
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            sendAnthropicError(res, error);
         }
+    });
 
-        state.isStarting = false;
+    // Ollama API: /api/tags, /api/show, /api/chat and /api/generate
+    const ollama = express.Router();
+    // Ollama model names may carry a `:latest` tag; the name as sent is kept for messages about it.
+    ollama.use((req, res, next) => {
+        if (req.method !== 'POST') return next();
+        const name = req.body?.model || req.body?.name;
+        try {
+            res.locals.modelName = name;
+            req.body.model = fromOllamaModelName(name);
+        } catch (error) {
+            return sendOllamaError(res, error);
+        }
+        next();
+    });
 
-        if (!started) {
-            console.warn('[Proxy] Backend start timed out.');
-            throw new Error('Backend start timeout');
+    ollama.get('/tags', async (req, res) => {
+        try {
+            const { models } = await listModels();
+            res.json({ models: models.filter((m) => apiKeys.allowsModel(res.locals.apiKey, m.id)).map(buildOllamaTag) });
+        } catch (error) {
+            log.error('Model fetch error', { error: error.message });
+            sendOllamaError(res, error);
+        }
+    });
+
+    ollama.post('/show', async (req, res) => {
+        const { providerID, modelID } = modelRouter.resolve(req.body.model).models[0];
+        try {
+            const { models } = await listModels();
+            const key = res.locals.apiKey;
+            const model = models.find((m) => m.providerID === providerID && m.modelID === modelID &&
+                (apiKeys.allowsModel(key, req.body.model) || apiKeys.allowsModel(key, m.id)));
+            if (!model) {
+                return sendOllamaError(res, new HttpError(404, `model '${res.locals.modelName}' not found`));
+            }
+            res.json(buildOllamaShow(model, getInputModalities(model.data)));
+        } catch (error) {
+            log.error('Model fetch error', { error: error.message });
+            sendOllamaError(res, error);
+        }
+    });
+
+    /**
+     * Shared body of /api/chat (`kind` 'chat') and /api/generate (`kind` 'generate'). `prepare()` returns the
+     * chat `messages` (for session reuse, chat only), prompt `parts`, `system` text, `imageCount` and
+     * `clientTools`. Streams NDJSON unless `stream` is false.
+     */
+    const runOllamaGeneration = async ({ req, res, signal, sessionIds, route, disableTools, kind, prepare }) => {
+        const startedAt = Date.now();
+        const { stream = true } = req.body;
+        const includeThinking = req.body.think !== false;
+        const generation = parseGenerationOptions(ollamaGenerationBody(req.body.options), { strict: STRICT_PARAMS });
+        if (generation.ignored.length) {
+            res.setHeader('X-Proxy-Ignored-Params', generation.ignored.join(', '));
+            log.debug('Ignoring unsupported parameters', { params: generation.ignored });
+        }
+        const responseFormat = resolveResponseFormat(ollamaFormatToChat(req.body.format));
+        const { messages, parts, system, imageCount, clientTools } = prepare();
+        const toolInstructions = clientTools
+            ? buildToolInstructions(clientTools, { mode: 'auto', name: null })
+            : null;
+        const { providerID: pID, modelID: mID } = route.models[0];
+        log.debug('Ollama request start', {
+            kind,
+            model: `${pID}/${mID}`,
+            stream: Boolean(stream),
+            parts: parts.length,
+            images: imageCount,
+            clientTools: clientTools ? clientTools.length : 0,
+            maxTokens: generation.maxTokens
+        });
+
+        await backendPool.ready();
+        const models = imageCount > 0 ? await selectImageModels(route.models) : route.models;
+
+        const explicitSessionKey = req.get('x-session-id') || null;
+        let promptParts = messages ? continueConversation(messages, parts, explicitSessionKey, sessionIds, res.locals.apiKey?.name) : parts;
+        if (imageCount > 0) {
+            promptParts = await resolveImages(promptParts);
+        }
+        await openSessions(sessionIds, 1, signal);
+        const sessionId = sessionIds[0];
+        res.setHeader('X-OpenCode-Session-Id', sessionId);
+
+        const promptParams = {
+            path: { id: sessionId },
+            body: {
+                model: { providerID: pID, modelID: mID },
+                system: applyToolGuard(disableTools, system, toolInstructions, buildResponseFormatInstructions(responseFormat)),
+                parts: promptParts
+            }
+        };
+        const toolOverrides = await getToolOverrides(disableTools, Boolean(clientTools));
+        if (toolOverrides && Object.keys(toolOverrides).length > 0) {
+            promptParams.body.tools = toolOverrides;
+        }
+        const remember = (content, toolCalls) => {
+            if (!messages || !sessionAffinity) return;
+            sessionAffinity.remember(messages, {
+                role: 'assistant',
+                content,
+                tool_calls: toolCalls.length ? toolCalls : undefined
+            }, sessionId, explicitSessionKey, res.locals.apiKey?.name);
+        };
+
+        let servedModel = models[0].id;
+        const onModel = (model) => {
+            servedModel = model.id;
+            reportModel(res, model.id);
+        };
+
+        // One response object: a message for /api/chat, a `response` string for /api/generate.
+        const frame = ({ content = '', reasoning = null, toolCalls = [] }, done, extra = {}) => {
+            const body = { model: servedModel, created_at: new Date().toISOString() };
+            const thinking = includeThinking && reasoning ? { thinking: reasoning } : {};
+            if (kind === 'chat') {
+                body.message = { role: 'assistant', content: content || '', ...thinking };
+                if (toolCalls.length) body.message.tool_calls = toOllamaToolCalls(toolCalls);
+            } else {
+                Object.assign(body, { response: content || '' }, thinking);
+            }
+            return { ...body, done, ...extra };
+        };
+        const finalFields = (finishReason, infos, firstTokenAt = null) => ({
+            done_reason: toOllamaDoneReason(finishReason),
+            ...buildOllamaStats(combineUsage(infos), startedAt, firstTokenAt)
+        });
+
+        if (!stream || responseFormat) {
+            // Structured output is only known to be valid once complete, so it is sent in one piece.
+            const reply = await completeReply(promptParams, { generation, disableTools, clientTools, responseFormat, signal, models });
+            onModel({ id: reply.model });
+            const fields = finalFields(reply.finishReason, reply.infos);
+            if (stream) {
+                res.setHeader('Content-Type', 'application/x-ndjson');
+                res.write(`${JSON.stringify(frame(reply, false))}\n`);
+                res.end(`${JSON.stringify(frame({}, true, fields))}\n`);
+            } else {
+                res.json(frame(reply, true, fields));
+            }
+            if (reply.attempts === 1 && !reply.truncated) remember(reply.content, reply.toolCalls);
+            return;
+        }
+
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-cache');
+        const writeFrame = (fields, done = false, extra = {}) => res.write(`${JSON.stringify(frame(fields, done, extra))}\n`);
+
+        const contentFilter = createToolCallFilter(disableTools, clientTools);
+        const reasoningFilter = createToolCallFilter(disableTools);
+        const limiter = createOutputLimiter(generation);
+        let firstTokenAt = null;
+        let replyContent = '';
+        const replyToolCalls = [];
+        const emitFiltered = ({ text, toolCalls }, isReasoning) => {
+            if (text && isReasoning) {
+                if (includeThinking) writeFrame({ reasoning: text });
+            } else if (text) {
+                replyContent += text;
+                writeFrame({ content: text });
+            }
+            if (toolCalls.length) {
+                const calls = toolCalls.map(({ index, ...call }) => call);
+                replyToolCalls.push(...calls);
+                writeFrame({ toolCalls: calls });
+            }
+        };
+        const onDelta = (delta, isReasoning) => {
+            if (!firstTokenAt) firstTokenAt = Date.now();
+            if (isReasoning) {
+                emitFiltered(reasoningFilter.push(delta), true);
+                return;
+            }
+            if (limiter.done) return;
+            const text = limiter.push(delta);
+            if (text) emitFiltered(contentFilter.push(text), false);
+            if (limiter.done) abortSession(sessionId);
+        };
+
+        let result;
+        try {
+            result = await runPrompt(promptParams, { onDelta, signal, models, onModel });
+        } catch (e) {
+            if (!limiter.done || e instanceof RequestCancelledError) throw e;
+            result = { info: null, error: null };
+        }
+        if (result.error && !limiter.done) {
+            const { error } = result;
+            res.end(`${JSON.stringify({ error: `${error.name || 'OpenCodeError'}: ${error.data?.message || error.message || 'Unknown error'}` })}\n`);
+            return;
+        }
+        const rest = limiter.flush();
+        if (rest) emitFiltered(contentFilter.push(rest), false);
+        emitFiltered(reasoningFilter.flush(), true);
+        emitFiltered(contentFilter.flush(), false);
+        const finishReason = resolveFinishReason({ limitReason: limiter.finishReason, toolCallCount: replyToolCalls.length, info: result.info });
+        writeFrame({}, true, finalFields(finishReason, [result.info], firstTokenAt));
+        res.end();
+        if (!limiter.done) remember(replyContent, replyToolCalls);
+    };
+
+    ollama.post('/chat', (req, res) => runQueuedGeneration(req, res, ({ signal, sessionIds, route, disableTools }) => runOllamaGeneration({
+        req,
+        res,
+        signal,
+        sessionIds,
+        route,
+        disableTools,
+        kind: 'chat',
+        prepare: () => {
+            const messages = ollamaToChatMessages(req.body.messages);
+            const tools = normalizeTools(req.body.tools);
+            const { parts, system, imageCount } = buildPromptParts(messages);
+            if (!parts.length) {
+                throw new HttpError(400, 'messages must include at least one non-system message');
+            }
+            return { messages, parts, system, imageCount, clientTools: tools.length ? tools : null };
+        }
+    }), sendOllamaError));
+
+    ollama.post('/generate', (req, res) => {
+        const { prompt, suffix, system, images } = req.body;
+        // An empty prompt only asks Ollama to load the model.
+        if (!prompt && !(Array.isArray(images) && images.length)) {
+            return res.json({
+                model: res.locals.modelName,
+                created_at: new Date().toISOString(),
+                response: '',
+                done: true,
+                done_reason: 'load'
+            });
+        }
+        return runQueuedGeneration(req, res, ({ signal, sessionIds, route, disableTools }) => runOllamaGeneration({
+            req,
+            res,
+            signal,
+            sessionIds,
+            route,
+            disableTools,
+            kind: 'generate',
+            prepare: () => {
+                // `raw` prompts and fill-in-the-middle requests are plain text continuation.
+                if (req.body.raw || suffix) {
+                    const completion = buildCompletionPrompt(prompt || '', suffix || null);
+                    return {
+                        parts: completion.parts,
+                        system: [completion.system, system].filter(Boolean).join('\n\n'),
+                        imageCount: 0
+                    };
+                }
+                const messages = [{ role: 'user', content: ollamaContent(prompt, images) }];
+                if (typeof system === 'string' && system) messages.unshift({ role: 'system', content: system });
+                return buildPromptParts(messages);
+            }
+        }), sendOllamaError);
+    });
+
+    app.use('/api', ollama);
+
+    // Backend pool state and an immediate health check
+    app.get('/admin/backends', (req, res) => res.json(backendPool.getState()));
+    app.post('/admin/backends/check', async (req, res) => {
+        await backendPool.checkAll();
+        res.json(backendPool.getState());
+    });
+    // Captured output of the backends the proxy started, e.g. /admin/backends/logs?backend=b0&stream=stderr&limit=50
+    app.get('/admin/backends/logs', (req, res) => {
+        const { backend, stream, since, q, limit } = req.query;
+        res.json({ ...backendLogs.getState(), lines: backendLogs.tail({ backend, stream, since, q, limit }) });
+    });
+    // Restart a managed backend now, also after it was given up on as a crash loop
+    app.post('/admin/backends/:id/restart', async (req, res) => {
+        const backend = backendPool.get(req.params.id);
+        if (!backend || !backend.managed) {
+            return sendHttpError(res, new HttpError(404, `Unknown managed backend: ${req.params.id}`, 'invalid_request_error', 'backend_not_found'));
+        }
+        supervisorOf(backend)?.restart();
+        try {
+            await backendPool.ensure(backend);
+        } catch (e) { }
+        res.json(backendPool.getState());
+    });
+
+    // Queue state
+    app.get('/admin/queue', (req, res) => res.json(requestQueue.getState()));
+
+    // Rate limit counters
+    app.get('/admin/ratelimit', (req, res) => res.json(rateLimiter.getState()));
+
+    // Audit log state and search (newest first), e.g. /admin/audit?key=alice&errors=1&limit=20
+    app.get('/admin/audit', async (req, res) => {
+        const { key, model, session, status, errors, since, q, limit } = req.query;
+        res.json({ ...auditLog.getState(), records: await auditLog.search({ key, model, session, status, errors, since, q, limit }) });
+    });
+
+    // Response cache state and manual clear
+    app.get('/admin/cache', (req, res) => res.json(responseCache.getState()));
+    app.post('/admin/cache/clear', (req, res) => res.json(responseCache.clear()));
+
+    // API keys (without their secrets) and manual reload of API_KEYS_FILE
+    app.get('/admin/keys', (req, res) => res.json(apiKeys.getState()));
+    app.post('/admin/keys/reload', (req, res) => res.json(apiKeys.reload()));
+
+    // Model catalog state and manual refresh
+    app.get('/admin/models', (req, res) => res.json(modelCatalog.getState()));
+    app.post('/admin/models/refresh', async (req, res) => {
+        try {
+            await backendPool.ready();
+            await modelCatalog.refresh();
+            res.json(modelCatalog.getState());
+        } catch (error) {
+            log.error('Model catalog refresh failed', { error: error.message });
+            res.status(502).json({ error: { message: error.message, type: error.constructor.name } });
+        }
+    });
+
+    // Session retention state and manual sweep
+    app.get('/admin/sessions', (req, res) => res.json({
+        ...sessionManager.getState(),
+        affinity: sessionAffinity ? sessionAffinity.getState() : null,
+        responses: responseStore.getState()
+    }));
+    app.post('/admin/sessions/sweep', async (req, res) => {
+        try {
+            await backendPool.ready();
+            res.json(await sessionManager.sweep());
+        } catch (error) {
+            log.error('Session sweep failed', { error: error.message });
+            res.status(502).json({ error: { message: error.message, type: error.constructor.name } });
+        }
+    });
+
+    // Queue, session, backend and cache gauges, read when /metrics is scraped
+    metrics.gauge('opencode_proxy_queue_depth', 'Generation requests waiting in the queue.', () => requestQueue.getState().queued);
+    metrics.gauge('opencode_proxy_requests_running', 'Generation requests currently running.', () => requestQueue.getState().active);
+    metrics.gauge('opencode_proxy_queue_rejected_total', 'Generation requests refused because the queue was full.',
+        () => requestQueue.getState().rejected, 'counter');
+    metrics.gauge('opencode_proxy_active_sessions', 'OpenCode sessions in use by running requests.', () => sessionManager.getState().inFlight);
+    metrics.gauge('opencode_proxy_tracked_sessions', 'OpenCode sessions created by the proxy and not yet deleted.', () => sessionManager.getState().tracked);
+    metrics.gauge('opencode_proxy_backend_up', 'Whether each OpenCode backend is admitted to the pool (0: ejected after a failed health check).',
+        () => backendPool.backends.map((backend) => ({ labels: { backend: backend.url }, value: backendPool.isAvailable(backend) ? 1 : 0 })));
+    metrics.gauge('opencode_proxy_backend_active_sessions', 'OpenCode sessions in use by running requests, per backend.',
+        () => backendPool.backends.map((backend) => ({ labels: { backend: backend.url }, value: sessionManager.countInFlight(backend) })));
+    metrics.gauge('opencode_proxy_backend_restarts_total', 'Times the proxy replaced an OpenCode backend process it had started.',
+        () => backendPool.backends.map((backend) => ({ labels: { backend: backend.url }, value: supervisorOf(backend)?.restarts || 0 })), 'counter');
+    metrics.gauge('opencode_proxy_response_cache_entries', 'Replies held in the in-memory response cache.', () => responseCache.getState().entries);
+
+    // Prometheus metrics
+    app.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    /**
+     * Process, queue and session state for the health endpoints; `backends` carries each backend's pool
+     * health and, for those the proxy started, the state of its process.
+     */
+    const healthDetails = () => {
+        const backends = backendPool.getState().backends.map(({ id, url, managed, healthy, load, lastError, process: proc }) => ({
+            id,
+            url,
+            managed,
+            healthy,
+            activeSessions: load,
+            status: proc?.status ?? null,
+            pid: proc?.pid ?? null,
+            uptimeMs: proc?.uptimeMs ?? null,
+            isStarting: ['starting', 'backoff'].includes(proc?.status),
+            restarts: proc?.restarts ?? 0,
+            lastError: proc?.lastError && (!lastError || proc.lastError.at > lastError.at) ? proc.lastError : lastError
+        }));
+        const queue = requestQueue.getState();
+        const sessions = sessionManager.getState();
+        return {
+            version: PROXY_VERSION,
+            uptimeMs: Math.round(process.uptime() * 1000),
+            isStarting: backends.some((backend) => backend.isStarting),
+            backends,
+            queue: { depth: queue.queued, running: queue.active },
+            sessions: { active: sessions.inFlight, tracked: sessions.tracked },
+            lastError: lastRequestError
+                ? { message: lastRequestError.message, at: new Date(lastRequestError.at).toISOString(), requestId: lastRequestError.requestId }
+                : null
+        };
+    };
+
+    // Liveness: the proxy process is up and serving requests, whatever the state of its backends.
+    app.get('/health/live', (req, res) => res.json({
+        status: 'ok',
+        version: PROXY_VERSION,
+        uptimeMs: Math.round(process.uptime() * 1000)
+    }));
+
+    // Readiness: a backend answers its health check and the model catalog can list models; 503 otherwise.
+    // Readiness comes from the pool's periodic health checks; the backends are only checked here when the
+    // last result is older than two check intervals (or there is none yet), so probes cost no backend calls.
+    app.get('/health/ready', async (req, res) => {
+        const maxAgeMs = 2 * (backendPool.getState().healthCheckIntervalMs || DEFAULT_HEALTH_CHECK_INTERVAL_MS);
+        const stale = backendPool.backends.some((backend) => !backend.lastCheckedAt || Date.now() - backend.lastCheckedAt > maxAgeMs);
+        const [catalog] = await Promise.all([
+            modelCatalog.get(MODEL_INFO_CACHE_MS),
+            stale ? backendPool.checkAll() : null
+        ]);
+        const up = backendPool.backends.filter((backend) => backend.healthy === true);
+        const down = backendPool.backends.find((backend) => backend.healthy !== true);
+        const catalogState = modelCatalog.getState();
+        const checks = {
+            backend: {
+                ok: up.length > 0,
+                up: up.length,
+                total: backendPool.backends.length,
+                error: down ? (down.lastError?.message || 'not checked yet') : null
+            },
+            models: {
+                ok: Boolean(catalog?.providers?.length),
+                providers: catalog?.providers?.length || 0,
+                stale: Boolean(catalog?.stale),
+                error: catalogState.lastError?.message || (catalog ? null : 'no model catalog available')
+            }
+        };
+        const details = healthDetails();
+        const ready = checks.backend.ok && checks.models.ok;
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ok' : (details.isStarting ? 'starting' : 'unavailable'),
+            backend: OPENCODE_SERVER_URL,
+            checks,
+            ...details
+        });
+    });
+
+    // Kept for existing monitors: always 200 with status 'ok' while the proxy runs, plus the current state.
+    app.get('/health', (req, res) => res.json({
+        status: 'ok',
+        backend: OPENCODE_SERVER_URL,
+        ...healthDetails()
+    }));
+
+    return { app, backendPool, backendLogs, auditLog, sessionManager, modelCatalog, apiKeys, rateLimiter, responseCache };
+}
+
+// Backend management state (per-instance): the supervisor and jail directory of each backend the proxy starts
+const backendState = new Map();
+
+/**
+ * Stop every backend process the proxy started, so none outlives it.
+ */
+function stopSupervisedBackends() {
+    backendState.forEach((state) => state.supervisor?.stop());
+}
+
+/**
+ * Spawn `opencode serve` for `serverUrl` in a fresh jail directory, with its output piped to the supervisor.
+ */
+function launchBackend(config, serverUrl, state) {
+    const { OPENCODE_PATH, USE_ISOLATED_HOME } = config;
+
+    // Cleanup old temp dir
+    if (state.jailRoot && fs.existsSync(state.jailRoot)) {
+        try {
+            fs.rmSync(state.jailRoot, { recursive: true, force: true });
+        } catch (e) { }
+    }
+
+    const isWindows = process.platform === 'win32';
+    const useIsolatedHome = typeof USE_ISOLATED_HOME === 'boolean'
+        ? USE_ISOLATED_HOME
+        : String(process.env.OPENCODE_USE_ISOLATED_HOME || '').toLowerCase() === 'true' ||
+        process.env.OPENCODE_USE_ISOLATED_HOME === '1';
+
+    // On Windows, don't use isolated fake-home to avoid path issues
+    // On Unix-like systems, use jail for isolation
+    const salt = Math.random().toString(36).substring(7);
+    const jailRoot = path.join(os.tmpdir(), 'opencode-proxy-jail', salt);
+    state.jailRoot = jailRoot;
+    const workspace = path.join(jailRoot, 'empty-workspace');
+
+    let envVars;
+    let cwd;
+
+    if (isWindows) {
+        // Windows: use normal user home to avoid opencode storage path issues
+        fs.mkdirSync(workspace, { recursive: true });
+        cwd = workspace;
+        envVars = {
+            ...process.env,
+            OPENCODE_PROJECT_DIR: workspace
+        };
+        log.info('Running on Windows, using standard user home directory');
+    } else {
+        fs.mkdirSync(workspace, { recursive: true });
+        cwd = workspace;
+
+        if (useIsolatedHome) {
+            // Unix-like: use isolated fake-home
+            const fakeHome = path.join(jailRoot, 'fake-home');
+
+            // Create necessary opencode directories
+            const opencodeDir = path.join(fakeHome, '.local', 'share', 'opencode');
+            const storageDir = path.join(opencodeDir, 'storage');
+            const messageDir = path.join(storageDir, 'message');
+            const sessionDir = path.join(storageDir, 'session');
+
+            [fakeHome, opencodeDir, storageDir, messageDir, sessionDir].forEach(d => {
+                if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
+            });
+
+            envVars = {
+                ...process.env,
+                HOME: fakeHome,
+                USERPROFILE: fakeHome,
+                OPENCODE_PROJECT_DIR: workspace
+            };
+            log.info('Using isolated home for OpenCode');
+        } else {
+            envVars = {
+                ...process.env,
+                OPENCODE_PROJECT_DIR: workspace
+            };
+            log.info('Using real HOME for OpenCode (isolation disabled)');
+        }
+    }
+
+    const [, , portStr] = serverUrl.split(':');
+    const port = portStr ? portStr.split('/')[0] : '4097';
+    const resolved = resolveOpencodePath(OPENCODE_PATH);
+    const opencodeBin = resolved.path || OPENCODE_PATH || OPENCODE_BASENAME;
+    if (resolved.path) {
+        log.info(`Using OpenCode binary: ${opencodeBin}`, { source: resolved.source });
+    } else {
+        log.warn(`Unable to resolve OpenCode binary for '${OPENCODE_PATH}'. Using as-is.`);
+    }
+
+    // Cross-platform spawn options; stdout/stderr go to the supervisor's log buffer instead of ours.
+    // Outside Windows the backend gets its own process group, so the supervisor can stop it together with
+    // a wrapping shell and whatever OpenCode started.
+    const useShell = process.platform === 'win32' || !resolved.path ||
+        opencodeBin.endsWith('.cmd') || opencodeBin.endsWith('.bat');
+    const spawnOptions = {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        cwd: cwd,
+        env: envVars,
+        shell: useShell,  // Use shell only when needed (e.g., Windows .cmd or unresolved PATH)
+        detached: process.platform !== 'win32'
+    };
+
+    const child = spawn(opencodeBin, ['serve', '--port', port, '--hostname', '127.0.0.1'], spawnOptions);
+
+    // Handle spawn errors
+    child.on('error', (err) => {
+        log.error('Failed to spawn OpenCode', { error: err.message });
+        if (err.code === 'ENOENT') {
+            log.error(`Command '${OPENCODE_PATH}' not found. Please ensure OpenCode is installed and in your PATH.`);
+            log.error("You can specify the full path in config.json using 'OPENCODE_PATH'");
+        }
+    });
+
+    return child;
+}
+
+/**
+ * Backend Lifecycle Management: start the OpenCode backend `backend` ({ id, url }) unless it is already
+ * running. Its process is kept up by a supervisor (see supervisor.js) that writes its output to `logs` and
+ * tells `onStatusChange(status, reason)` when it crashes or comes back.
+ */
+async function ensureBackend(config, backend, { logs, onStatusChange } = {}) {
+    const { id, url: serverUrl } = backend;
+
+    if (!backendState.has(serverUrl)) {
+        backendState.set(serverUrl, {
+            supervisor: null,
+            jailRoot: null
+        });
+    }
+
+    const state = backendState.get(serverUrl);
+
+    try {
+        await checkHealth(serverUrl);
+    } catch (err) {
+        if (!state.supervisor) {
+            state.supervisor = createBackendSupervisor({
+                ...config.BACKEND_SUPERVISOR,
+                id,
+                launch: () => launchBackend(config, serverUrl, state),
+                checkHealth: () => checkHealth(serverUrl),
+                logs,
+                onStatusChange
+            });
+        }
+        const { supervisor } = state;
+
+        if (supervisor.status === 'crash-loop') {
+            throw new Error(`OpenCode backend ${id} is in a crash loop (${supervisor.getState().lastError?.message}); restart it with POST /admin/backends/${id}/restart`);
+        }
+        if (supervisor.status === 'running') {
+            // Its process is up but no longer answers
+            supervisor.reportUnhealthy(err.message);
+        } else if (supervisor.status === 'stopped' || supervisor.status === 'detached') {
+            log.info(`OpenCode backend not found at ${serverUrl}. Starting...`);
+            supervisor.restart();
+        }
+
+        // Wait for startup to complete
+        try {
+            await supervisor.waitUntilRunning();
+        } catch (e) {
+            log.warn('Backend start failed.', { backend: id, error: e.message });
+            throw e;
         }
     }
 }
@@ -1039,6 +3034,8 @@ export function startProxy(options) {
     const config = {
         PORT: options.PORT || 8083,
         API_KEY: options.API_KEY || '',
+        API_KEYS: Array.isArray(options.API_KEYS) ? options.API_KEYS : [],
+        API_KEYS_FILE: options.API_KEYS_FILE || process.env.OPENCODE_PROXY_API_KEYS_FILE || '',
         OPENCODE_SERVER_URL: options.OPENCODE_SERVER_URL || 'http://127.0.0.1:4097',
         OPENCODE_PATH: options.OPENCODE_PATH || 'opencode',
         BIND_HOST: options.BIND_HOST || options.bindHost || process.env.OPENCODE_PROXY_BIND_HOST || '127.0.0.1',
@@ -1049,37 +3046,85 @@ export function startProxy(options) {
             String(process.env.OPENCODE_USE_ISOLATED_HOME || '').toLowerCase() === 'true' ||
             process.env.OPENCODE_USE_ISOLATED_HOME === '1',
         REQUEST_TIMEOUT_MS: Number(options.REQUEST_TIMEOUT_MS || process.env.OPENCODE_PROXY_REQUEST_TIMEOUT_MS || DEFAULT_REQUEST_TIMEOUT_MS),
+        MAX_CONCURRENT_REQUESTS: Number(options.MAX_CONCURRENT_REQUESTS || process.env.OPENCODE_PROXY_MAX_CONCURRENT || DEFAULT_MAX_CONCURRENT_REQUESTS),
+        MAX_QUEUE_DEPTH: Number(options.MAX_QUEUE_DEPTH ?? process.env.OPENCODE_PROXY_MAX_QUEUE_DEPTH ?? DEFAULT_MAX_QUEUE_DEPTH),
+        MODEL_CONCURRENCY: options.MODEL_CONCURRENCY || {},
+        MODEL_ROUTES: options.MODEL_ROUTES || {},
+        RATE_LIMIT: options.RATE_LIMIT || {},
+        AUDIT_LOG: options.AUDIT_LOG || {},
+        RESPONSE_CACHE: options.RESPONSE_CACHE || {},
+        BACKEND_POOL: options.BACKEND_POOL || {},
+        BACKEND_SUPERVISOR: options.BACKEND_SUPERVISOR || {},
+        SESSION_AFFINITY: normalizeBool(options.SESSION_AFFINITY) ?? normalizeBool(process.env.OPENCODE_PROXY_SESSION_AFFINITY) ?? true,
+        SESSION_AFFINITY_MAX_ENTRIES: Number(options.SESSION_AFFINITY_MAX_ENTRIES || DEFAULT_AFFINITY_MAX_ENTRIES),
+        SESSION_AFFINITY_TTL_MS: Number(options.SESSION_AFFINITY_TTL_MS || DEFAULT_AFFINITY_TTL_MS),
+        SESSION_RETENTION: options.SESSION_RETENTION || process.env.OPENCODE_PROXY_SESSION_RETENTION || DEFAULT_SESSION_RETENTION,
+        SESSION_KEEP_COUNT: Number(options.SESSION_KEEP_COUNT ?? DEFAULT_SESSION_KEEP_COUNT),
+        SESSION_TTL_MS: Number(options.SESSION_TTL_MS || DEFAULT_SESSION_TTL_MS),
+        SESSION_SWEEP_INTERVAL_MS: Number(options.SESSION_SWEEP_INTERVAL_MS ?? DEFAULT_SESSION_SWEEP_INTERVAL_MS),
+        SESSION_INSTANCE_ID: String(options.SESSION_INSTANCE_ID || process.env.OPENCODE_PROXY_SESSION_INSTANCE_ID || '').trim(),
         DISABLE_TOOLS: disableTools,
+        STRICT_PARAMS: normalizeBool(options.STRICT_PARAMS) ?? normalizeBool(process.env.OPENCODE_PROXY_STRICT_PARAMS) ?? false,
+        FETCH_REMOTE_IMAGES: normalizeBool(options.FETCH_REMOTE_IMAGES) ?? normalizeBool(process.env.OPENCODE_PROXY_FETCH_REMOTE_IMAGES) ?? false,
+        JSON_MAX_RETRIES: Number(options.JSON_MAX_RETRIES ?? process.env.OPENCODE_PROXY_JSON_MAX_RETRIES ?? DEFAULT_JSON_MAX_RETRIES),
+        RESPONSE_STORE_MAX_ENTRIES: Number(options.RESPONSE_STORE_MAX_ENTRIES || DEFAULT_RESPONSE_STORE_MAX_ENTRIES),
+        RESPONSE_STORE_TTL_MS: Number(options.RESPONSE_STORE_TTL_MS || DEFAULT_RESPONSE_STORE_TTL_MS),
+        MODEL_CATALOG_FILE: options.MODEL_CATALOG_FILE ?? process.env.OPENCODE_PROXY_MODEL_CATALOG_FILE ?? DEFAULT_MODEL_CATALOG_FILE,
+        MODEL_CATALOG_REFRESH_MS: Number(options.MODEL_CATALOG_REFRESH_MS ?? DEFAULT_MODEL_CATALOG_REFRESH_MS),
         DEBUG: String(options.DEBUG || '').toLowerCase() === 'true' ||
             options.DEBUG === '1' ||
             String(process.env.OPENCODE_PROXY_DEBUG || '').toLowerCase() === 'true' ||
-            process.env.OPENCODE_PROXY_DEBUG === '1'
+            process.env.OPENCODE_PROXY_DEBUG === '1',
+        LOG_LEVEL: options.LOG_LEVEL || process.env.OPENCODE_PROXY_LOG_LEVEL || '',
+        LOG_FORMAT: options.LOG_FORMAT || process.env.OPENCODE_PROXY_LOG_FORMAT || 'text'
     };
+    // DEBUG is shorthand for LOG_LEVEL=debug.
+    configureLogger({ level: config.LOG_LEVEL || (config.DEBUG ? 'debug' : 'info'), format: config.LOG_FORMAT });
 
-    const { app } = createApp(config);
+    const { app, backendPool, backendLogs, auditLog, sessionManager, modelCatalog, apiKeys, rateLimiter, responseCache } = createApp(config);
     
     const server = app.listen(config.PORT, config.BIND_HOST, async () => {
-        console.log(`[Proxy] Active at http://${config.BIND_HOST}:${config.PORT}`);
-        try {
-            await ensureBackend(config);
-        } catch (error) {
-            console.error('[Proxy] Backend warmup failed:', error.message);
-        }
+        log.info(`Active at http://${config.BIND_HOST}:${config.PORT}`);
+        sessionManager.start();
+        modelCatalog.start();
+        apiKeys.start();
+        rateLimiter.start();
+        responseCache.start();
+        backendPool.start();
+        const warmups = await Promise.allSettled(backendPool.backends.map((backend) => backendPool.ensure(backend)));
+        warmups.forEach((warmup, i) => {
+            if (warmup.status === 'rejected') {
+                log.error('Backend warmup failed', { backend: backendPool.backends[i].url, error: warmup.reason.message });
+            }
+        });
+        modelCatalog.refresh().catch((error) => createLogger('Models').error('Initial model catalog fetch failed', { error: error.message }));
+    });
+    server.on('close', () => {
+        sessionManager.stop();
+        modelCatalog.stop();
+        apiKeys.stop();
+        rateLimiter.stop();
+        responseCache.stop();
+        backendPool.stop();
+        backendLogs.close();
+        auditLog.close();
     });
 
     return {
         server,
         killBackend: () => {
-            const state = backendState.get(config.OPENCODE_SERVER_URL);
-            if (state && state.process) {
-                state.process.kill();
-            }
-            // Cleanup temp dir (only on non-Windows where we use jail)
-            if (state && state.jailRoot && process.platform !== 'win32') {
-                try {
-                    fs.rmSync(state.jailRoot, { recursive: true, force: true });
-                } catch (e) { }
-            }
+            backendPool.backends.forEach((backend) => {
+                const state = backendState.get(backend.url);
+                if (state && state.supervisor) {
+                    state.supervisor.stop();
+                }
+                // Cleanup temp dir (only on non-Windows where we use jail)
+                if (state && state.jailRoot && process.platform !== 'win32') {
+                    try {
+                        fs.rmSync(state.jailRoot, { recursive: true, force: true });
+                    } catch (e) { }
+                }
+            });
         }
     };
 }
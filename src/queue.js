@@ -0,0 +1,248 @@
+import { HttpError, RequestCancelledError } from './errors.js';
+
+// --- Request scheduling with global and per-model concurrency limits ---
+
+export const DEFAULT_MAX_CONCURRENT_REQUESTS = 4;
+export const DEFAULT_MAX_QUEUE_DEPTH = 100;
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+export class QueueFullError extends HttpError {
+    constructor(retryAfterSeconds) {
+        super(429, 'Too many requests queued, please retry later', 'rate_limit_error', 'queue_full');
+        this.name = 'QueueFullError';
+        this.headers = { 'Retry-After': String(retryAfterSeconds) };
+    }
+}
+
+export class QueueTimeoutError extends HttpError {
+    constructor(timeoutMs) {
+        super(504, `Request timeout after ${timeoutMs}ms`, 'server_error', 'queue_timeout');
+        this.name = 'QueueTimeoutError';
+    }
+}
+
+/**
+ * Find the limit that applies to a `provider/model` key: an exact model entry wins over a provider entry.
+ */
+function findLimitRule(limits, key) {
+    if (!key) return null;
+    const exact = Number(limits[key]);
+    if (limits[key] !== undefined && exact > 0) return { limitKey: key, limit: exact };
+    const provider = key.split('/')[0];
+    const byProvider = Number(limits[provider]);
+    if (limits[provider] !== undefined && byProvider > 0) return { limitKey: provider, limit: byProvider };
+    return null;
+}
+
+/**
+ * Create a FIFO scheduler. Waiting requests whose model limit is saturated are skipped, so one busy model
+ * does not hold back requests for others.
+ */
+export function createRequestQueue(options = {}) {
+    const maxConcurrent = Math.max(1, Number(options.maxConcurrent) || DEFAULT_MAX_CONCURRENT_REQUESTS);
+    const maxQueueDepth = Number.isFinite(Number(options.maxQueueDepth)) && options.maxQueueDepth !== null
+        ? Math.max(0, Number(options.maxQueueDepth))
+        : DEFAULT_MAX_QUEUE_DEPTH;
+    const limits = options.limits && typeof options.limits === 'object' ? options.limits : {};
+
+    const waiting = [];
+    // Running items waiting for room under a new key's limit after `switchKey`; they keep their global slot.
+    const switching = [];
+    const activeByLimit = new Map();
+    let active = 0;
+    let avgTaskMs = 0;
+    let avgWaitMs = 0;
+    let completed = 0;
+    let rejected = 0;
+    let cancelled = 0;
+
+    const average = (prev, value) => (prev ? prev * 0.8 + value * 0.2 : value);
+
+    const hasLimitRoom = (item) => !item.limitRule
+        || (activeByLimit.get(item.limitRule.limitKey) || 0) < item.limitRule.limit;
+
+    const canStart = (item) => active < maxConcurrent && hasLimitRoom(item);
+
+    const takeLimit = (item) => {
+        if (!item.limitRule) return;
+        const key = item.limitRule.limitKey;
+        activeByLimit.set(key, (activeByLimit.get(key) || 0) + 1);
+        item.heldLimitKey = key;
+    };
+
+    const releaseLimit = (item) => {
+        if (!item.heldLimitKey) return;
+        const key = item.heldLimitKey;
+        activeByLimit.set(key, (activeByLimit.get(key) || 1) - 1);
+        item.heldLimitKey = null;
+    };
+
+    const release = (item) => {
+        if (item.released) return;
+        item.released = true;
+        active -= 1;
+        releaseLimit(item);
+        // A task still waiting to switch keys is let go; it winds down on its own like any settled task.
+        const idx = switching.findIndex((entry) => entry.item === item);
+        if (idx !== -1) switching.splice(idx, 1)[0].resolve();
+        completed += 1;
+        avgTaskMs = average(avgTaskMs, Date.now() - item.startedAt);
+        pump();
+    };
+
+    /**
+     * Move a running item's per-model slot to `key` (e.g. when a request falls back to another model).
+     * Resolves once `key`'s limit has room.
+     */
+    const switchKey = (item, key) => {
+        if (item.released || key === item.key) return Promise.resolve();
+        releaseLimit(item);
+        item.key = key;
+        item.limitRule = findLimitRule(limits, key);
+        return new Promise((resolve) => {
+            switching.push({ item, resolve });
+            pump();
+        });
+    };
+
+    const start = (item) => {
+        active += 1;
+        takeLimit(item);
+        item.startedAt = Date.now();
+        avgWaitMs = average(avgWaitMs, item.startedAt - item.enqueuedAt);
+
+        let settled = false;
+        const timeoutMs = item.timeout || 120000;
+        const timeoutId = setTimeout(() => {
+            if (settled) return;
+            settled = true;
+            item.reject(new QueueTimeoutError(timeoutMs));
+        }, timeoutMs);
+
+        // A cancelled request gives its slot back immediately; the task is expected to wind down on its own.
+        if (item.signal) {
+            item.signal.addEventListener('abort', () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+                cancelled += 1;
+                item.reject(new RequestCancelledError());
+                release(item);
+            }, { once: true });
+        }
+
+        Promise.resolve()
+            .then(() => item.task({ switchKey: (key) => switchKey(item, key) }))
+            .then((result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+                item.resolve(result);
+            })
+            .catch((err) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+                item.reject(err);
+            })
+            .finally(() => release(item));
+    };
+
+    function pump() {
+        // Running items go first: they already hold a global slot.
+        for (let j = 0; j < switching.length;) {
+            const { item, resolve } = switching[j];
+            if (!hasLimitRoom(item)) {
+                j += 1;
+                continue;
+            }
+            switching.splice(j, 1);
+            takeLimit(item);
+            resolve();
+        }
+        let i = 0;
+        while (i < waiting.length && active < maxConcurrent) {
+            const item = waiting[i];
+            if (!canStart(item)) {
+                i += 1;
+                continue;
+            }
+            waiting.splice(i, 1);
+            start(item);
+        }
+    }
+
+    const retryAfterSeconds = () => {
+        const estimateMs = (avgTaskMs || 5000) * (waiting.length + 1) / maxConcurrent;
+        return Math.min(MAX_RETRY_AFTER_SECONDS, Math.max(1, Math.ceil(estimateMs / 1000)));
+    };
+
+    /**
+     * Run `task` when a slot is free. `key` is the `provider/model` used for per-model limits; the task is
+     * called with `{ switchKey(key) }` to move to another model's limit while it runs.
+     * Aborting `signal` drops a waiting request or frees the slot of a running one, and a task still running
+     * after `timeout` ms is answered with a QueueTimeoutError.
+     */
+    const run = (task, { key = null, timeout = 120000, signal = null } = {}) => new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            cancelled += 1;
+            reject(new RequestCancelledError());
+            return;
+        }
+        const item = {
+            task,
+            timeout,
+            resolve,
+            reject,
+            key,
+            limitRule: findLimitRule(limits, key),
+            enqueuedAt: Date.now(),
+            signal
+        };
+        waiting.push(item);
+        pump();
+        if (waiting.length > maxQueueDepth && waiting.includes(item)) {
+            waiting.splice(waiting.indexOf(item), 1);
+            rejected += 1;
+            reject(new QueueFullError(retryAfterSeconds()));
+            return;
+        }
+        if (signal && waiting.includes(item)) {
+            signal.addEventListener('abort', () => {
+                const idx = waiting.indexOf(item);
+                if (idx === -1) return;
+                waiting.splice(idx, 1);
+                cancelled += 1;
+                reject(new RequestCancelledError());
+            }, { once: true });
+        }
+    });
+
+    const getState = () => {
+        const queuedByKey = {};
+        waiting.forEach((item) => {
+            const key = item.key || 'default';
+            queuedByKey[key] = (queuedByKey[key] || 0) + 1;
+        });
+        return {
+            active,
+            queued: waiting.length,
+            maxConcurrent,
+            maxQueueDepth,
+            limits: Object.keys(limits).map((key) => ({
+                key,
+                limit: Number(limits[key]),
+                active: activeByLimit.get(key) || 0
+            })),
+            queuedByKey,
+            oldestWaitMs: waiting.length ? Date.now() - waiting[0].enqueuedAt : 0,
+            averageWaitMs: Math.round(avgWaitMs),
+            averageTaskMs: Math.round(avgTaskMs),
+            completed,
+            rejected,
+            cancelled
+        };
+    };
+
+    return { run, getState };
+}
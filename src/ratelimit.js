@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+// --- Rate limits and daily quotas per API key (or client IP when auth is off) ---
+// RATE_LIMIT = { "requestsPerMinute": 60, "burst": 10, "maxConcurrent": 2, "dailyRequests": 1000,
+//   "dailyTokens": 2000000, "keys": { "alice": { "requestsPerMinute": 10 } }, "file": "..." }
+// Every limit is optional and 0 means unlimited. `keys` overrides the limits for named API keys; clients
+// without a key are limited per IP address with the top-level values. Requests per minute are a token
+// bucket holding `burst` requests (default: one minute's worth); daily counters reset at midnight UTC and
+// are written to `file` when one is set, so a restart does not hand out a fresh quota.
+
+const LIMIT_FIELDS = ['requestsPerMinute', 'burst', 'maxConcurrent', 'dailyRequests', 'dailyTokens'];
+const SAVE_INTERVAL_MS = 10 * 1000;
+// Buckets of clients that have been idle this long are forgotten (they would be full again anyway).
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+const log = createLogger('RateLimit');
+
+function pickLimits(raw) {
+    const limits = {};
+    LIMIT_FIELDS.forEach((field) => {
+        const value = Number(raw?.[field]);
+        if (Number.isFinite(value) && value > 0) limits[field] = value;
+    });
+    return limits;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilMidnightUtc() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.max(1, Math.ceil((midnight - now.getTime()) / 1000));
+}
+
+/**
+ * `acquire(identity, keyName)` admits or refuses one request. It returns { ok: true, headers, ticket } or
+ * { ok: false, headers, message, retryAfter }; `headers` are the x-ratelimit-* (and Retry-After) headers to
+ * send. `ticket.release()` ends the request's concurrency slot and `ticket.recordTokens(n)` charges the
+ * tokens it used against the daily token quota.
+ */
+export function createRateLimiter(options = {}) {
+    const defaults = pickLimits(options);
+    const keyLimits = new Map(Object.entries(options.keys || {}).map(([name, raw]) => [name, { ...defaults, ...pickLimits(raw) }]));
+    const filePath = options.file || '';
+    const enabled = Object.keys(defaults).length > 0 || [...keyLimits.values()].some((l) => Object.keys(l).length > 0);
+
+    const clients = new Map();
+    let daily = { day: today(), counters: {} };
+    let dirty = false;
+    let timer = null;
+
+    const load = () => {
+        if (!filePath) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (saved?.day === today() && saved.counters && typeof saved.counters === 'object') {
+                daily = { day: saved.day, counters: saved.counters };
+            }
+        } catch (e) {
+            if (e.code !== 'ENOENT') log.error('Ignoring quota counter file', { file: filePath, error: e.message });
+        }
+    };
+
+    const save = () => {
+        if (!filePath || !dirty) return;
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify(daily));
+            fs.renameSync(tmpPath, filePath);
+            dirty = false;
+        } catch (e) {
+            log.error('Failed to save quota counters', { file: filePath, error: e.message });
+        }
+    };
+
+    const dailyCounter = (identity) => {
+        const day = today();
+        if (daily.day !== day) {
+            daily = { day, counters: {} };
+            dirty = true;
+        }
+        if (!daily.counters[identity]) daily.counters[identity] = { requests: 0, tokens: 0 };
+        return daily.counters[identity];
+    };
+
+    const clientState = (identity, limits) => {
+        let state = clients.get(identity);
+        if (!state) {
+            state = { tokens: limits.burst || limits.requestsPerMinute || 0, refilledAt: Date.now(), active: 0 };
+            clients.set(identity, state);
+        }
+        if (limits.requestsPerMinute) {
+            const capacity = limits.burst || limits.requestsPerMinute;
+            const now = Date.now();
+            state.tokens = Math.min(capacity, state.tokens + ((now - state.refilledAt) * limits.requestsPerMinute) / 60000);
+            state.refilledAt = now;
+        }
+        state.seenAt = Date.now();
+        return state;
+    };
+
+    const limitsFor = (keyName) => (keyName && keyLimits.has(keyName) ? keyLimits.get(keyName) : defaults);
+
+    const refusalFor = (limits, state, counter) => {
+        if (limits.requestsPerMinute && state.tokens < 1) {
+            return {
+                message: `Rate limit of ${limits.requestsPerMinute} requests per minute exceeded`,
+                retryAfter: Math.ceil(((1 - state.tokens) * 60) / limits.requestsPerMinute)
+            };
+        }
+        if (limits.dailyRequests && counter.requests >= limits.dailyRequests) {
+            return { message: `Daily quota of ${limits.dailyRequests} requests exhausted`, retryAfter: secondsUntilMidnightUtc() };
+        }
+        if (limits.dailyTokens && counter.tokens >= limits.dailyTokens) {
+            return { message: `Daily quota of ${limits.dailyTokens} tokens exhausted`, retryAfter: secondsUntilMidnightUtc() };
+        }
+        if (limits.maxConcurrent && state.active >= limits.maxConcurrent) {
+            return { message: `Too many concurrent requests (limit ${limits.maxConcurrent})`, retryAfter: 1 };
+        }
+        return null;
+    };
+
+    const headersFor = (limits, state, counter) => {
+        const headers = {};
+        if (limits.requestsPerMinute) {
+            const capacity = limits.burst || limits.requestsPerMinute;
+            headers['x-ratelimit-limit-requests'] = String(capacity);
+            headers['x-ratelimit-remaining-requests'] = String(Math.max(0, Math.floor(state.tokens)));
+            headers['x-ratelimit-reset-requests'] = `${Math.ceil(((capacity - state.tokens) * 60) / limits.requestsPerMinute)}s`;
+        }
+        if (limits.dailyRequests) {
+            headers['x-ratelimit-limit-requests-day'] = String(limits.dailyRequests);
+            headers['x-ratelimit-remaining-requests-day'] = String(Math.max(0, limits.dailyRequests - counter.requests));
+        }
+        if (limits.dailyTokens) {
+            headers['x-ratelimit-limit-tokens'] = String(limits.dailyTokens);
+            headers['x-ratelimit-remaining-tokens'] = String(Math.max(0, limits.dailyTokens - counter.tokens));
+            headers['x-ratelimit-reset-tokens'] = `${secondsUntilMidnightUtc()}s`;
+        }
+        return headers;
+    };
+
+    const acquire = (identity, keyName = null) => {
+        const limits = limitsFor(keyName);
+        const state = clientState(identity, limits);
+        const counter = dailyCounter(identity);
+        const refusal = refusalFor(limits, state, counter);
+        if (refusal) {
+            log.debug('Rate limited', { identity, reason: refusal.message });
+            return { ok: false, headers: { ...headersFor(limits, state, counter), 'Retry-After': String(refusal.retryAfter) }, ...refusal };
+        }
+
+        if (limits.requestsPerMinute) state.tokens -= 1;
+        state.active += 1;
+        counter.requests += 1;
+        dirty = true;
+        const headers = headersFor(limits, state, counter);
+        let released = false;
+        const ticket = {
+            release: () => {
+                if (released) return;
+                released = true;
+                state.active = Math.max(0, state.active - 1);
+            },
+            recordTokens: (tokens) => {
+                if (!(tokens > 0)) return;
+                dailyCounter(identity).tokens += tokens;
+                dirty = true;
+            }
+        };
+        return { ok: true, headers, ticket };
+    };
+
+    const sweep = () => {
+        const cutoff = Date.now() - IDLE_BUCKET_MS;
+        clients.forEach((state, identity) => {
+            if (state.active === 0 && state.seenAt < cutoff) clients.delete(identity);
+        });
+    };
+
+    const start = () => {
+        if (!enabled || timer) return;
+        timer = setInterval(() => {
+            save();
+            sweep();
+        }, SAVE_INTERVAL_MS);
+        if (timer.unref) timer.unref();
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+        save();
+    };
+
+    const getState = () => ({
+        enabled,
+        limits: defaults,
+        keys: Object.fromEntries(keyLimits),
+        file: filePath || null,
+        day: daily.day,
+        clients: [...clients.entries()].map(([identity, state]) => ({
+            identity,
+            active: state.active,
+            ...(daily.counters[identity] || { requests: 0, tokens: 0 })
+        }))
+    });
+
+    load();
+    return { enabled, acquire, start, stop, getState };
+}
@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import { HttpError } from './errors.js';
+
+// --- OpenAI Responses API (/v1/responses) on top of OpenCode sessions ---
+
+export const DEFAULT_RESPONSE_STORE_MAX_ENTRIES = 1000;
+export const DEFAULT_RESPONSE_STORE_TTL_MS = 60 * 60 * 1000;
+
+export function createResponseItemId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function contentToChatParts(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map((part) => {
+        if (!part) return null;
+        if (['input_text', 'output_text', 'text', 'summary_text'].includes(part.type)) {
+            return { type: 'text', text: part.text || '' };
+        }
+        if (part.type === 'refusal') return { type: 'text', text: part.refusal || '' };
+        if (part.type === 'input_image') {
+            if (!part.image_url) {
+                throw new HttpError(400, 'input_image needs an image_url; file_id references are not supported', 'invalid_request_error', 'unsupported_input');
+            }
+            return { type: 'image_url', image_url: { url: part.image_url } };
+        }
+        throw new HttpError(400, `Unsupported input content type: ${part.type}`, 'invalid_request_error', 'unsupported_input');
+    }).filter(Boolean);
+}
+
+/**
+ * Convert Responses `instructions` + `input` (a string or a list of items) into chat messages, so the
+ * chat prompt builder can be reused. Function calls become assistant `tool_calls` and function call
+ * outputs become `tool` messages; reasoning items are dropped.
+ */
+export function responseInputToMessages(input, instructions) {
+    const messages = [];
+    if (typeof instructions === 'string' && instructions.trim()) {
+        messages.push({ role: 'system', content: instructions });
+    }
+    if (typeof input === 'string') {
+        messages.push({ role: 'user', content: input });
+        return messages;
+    }
+    if (!Array.isArray(input)) {
+        throw new HttpError(400, 'input must be a string or an array of input items', 'invalid_request_error', 'invalid_input');
+    }
+    input.forEach((item) => {
+        if (typeof item === 'string') {
+            messages.push({ role: 'user', content: item });
+            return;
+        }
+        const type = item?.type || (item?.role ? 'message' : null);
+        if (type === 'message') {
+            messages.push({ role: item.role || 'user', content: contentToChatParts(item.content) });
+        } else if (type === 'function_call') {
+            const call = {
+                id: item.call_id || item.id,
+                type: 'function',
+                function: { name: item.name, arguments: item.arguments || '{}' }
+            };
+            const last = messages[messages.length - 1];
+            // Consecutive calls belong to one assistant turn.
+            if (last && last.role === 'assistant' && Array.isArray(last.tool_calls) && !last.content) {
+                last.tool_calls.push(call);
+            } else {
+                messages.push({ role: 'assistant', content: null, tool_calls: [call] });
+            }
+        } else if (type === 'function_call_output') {
+            const output = typeof item.output === 'string' ? item.output : JSON.stringify(item.output ?? '');
+            messages.push({ role: 'tool', tool_call_id: item.call_id, content: output });
+        } else if (type !== 'reasoning') {
+            throw new HttpError(400, `Unsupported input item type: ${type}`, 'invalid_request_error', 'unsupported_input');
+        }
+    });
+    return messages;
+}
+
+/**
+ * Responses tools are flat ({ type: 'function', name, parameters }); convert them to the chat shape.
+ * Hosted tools (web search, file search, ...) cannot be provided by the proxy.
+ */
+export function toChatTools(tools) {
+    if (tools === undefined || tools === null) return [];
+    if (!Array.isArray(tools)) throw new HttpError(400, 'tools must be an array');
+    return tools.map((tool) => {
+        if (tool?.type !== 'function') {
+            throw new HttpError(400, `Unsupported tool type: ${tool?.type}; only function tools are supported`, 'invalid_request_error', 'unsupported_tool');
+        }
+        return {
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        };
+    });
+}
+
+export function toChatToolChoice(toolChoice) {
+    if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+        return { type: 'function', function: { name: toolChoice.name } };
+    }
+    return toolChoice;
+}
+
+/**
+ * Map Responses `text.format` onto a chat `response_format`.
+ */
+export function toChatResponseFormat(text) {
+    const format = text?.format;
+    if (!format || format.type === 'text') return null;
+    if (format.type === 'json_schema') {
+        return {
+            type: 'json_schema',
+            json_schema: { name: format.name, description: format.description, schema: format.schema }
+        };
+    }
+    return { type: format.type };
+}
+
+export function toResponseUsage(usage) {
+    return {
+        input_tokens: usage.prompt_tokens,
+        input_tokens_details: { cached_tokens: usage.prompt_tokens_details.cached_tokens },
+        output_tokens: usage.completion_tokens,
+        output_tokens_details: { reasoning_tokens: usage.completion_tokens_details.reasoning_tokens },
+        total_tokens: usage.total_tokens
+    };
+}
+
+export function buildReasoningItem(text, id = createResponseItemId('rs')) {
+    return { type: 'reasoning', id, summary: text ? [{ type: 'summary_text', text }] : [] };
+}
+
+export function buildMessageItem(text, id = createResponseItemId('msg'), status = 'completed') {
+    return {
+        type: 'message',
+        id,
+        status,
+        role: 'assistant',
+        content: text === null ? [] : [{ type: 'output_text', text, annotations: [] }]
+    };
+}
+
+/**
+ * `call` is a chat tool call ({ id, function: { name, arguments } }).
+ */
+export function buildFunctionCallItem(call, id = createResponseItemId('fc'), status = 'completed') {
+    return {
+        type: 'function_call',
+        id,
+        call_id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments,
+        status
+    };
+}
+
+/**
+ * Output items for a finished reply: reasoning first, then the message text, then function calls.
+ */
+export function buildOutputItems({ reasoning, content, toolCalls = [] }) {
+    const output = [];
+    if (reasoning) output.push(buildReasoningItem(reasoning));
+    if (content) output.push(buildMessageItem(content));
+    toolCalls.forEach((call) => output.push(buildFunctionCallItem(call)));
+    return output;
+}
+
+const INCOMPLETE_REASONS = { length: 'max_output_tokens', content_filter: 'content_filter' };
+
+/**
+ * Response status for a chat finish_reason: 'incomplete' (with a reason) for truncated replies.
+ */
+export function responseStatusFor(finishReason) {
+    const reason = INCOMPLETE_REASONS[finishReason];
+    return reason ? { status: 'incomplete', incomplete_details: { reason } } : { status: 'completed', incomplete_details: null };
+}
+
+/**
+ * Keeps recent responses so `previous_response_id` can continue their OpenCode session and
+ * `GET /v1/responses/{id}` can return them. Each entry holds the session and the ID of the assistant
+ * message the response came from, which marks where a branch off that response starts. Entries expire
+ * after `ttlMs`; the oldest are evicted first.
+ */
+export function createResponseStore(options = {}) {
+    const maxEntries = Math.max(1, Number(options.maxEntries) || DEFAULT_RESPONSE_STORE_MAX_ENTRIES);
+    const ttlMs = Math.max(1000, Number(options.ttlMs) || DEFAULT_RESPONSE_STORE_TTL_MS);
+    const entries = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [id, entry] of entries) {
+            if (now - entry.storedAt > ttlMs) entries.delete(id);
+        }
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    const save = (response, sessionId, messageId = null) => {
+        entries.set(response.id, { response, sessionId, messageId, storedAt: Date.now() });
+        prune();
+    };
+
+    const get = (id) => {
+        prune();
+        return entries.get(id) || null;
+    };
+
+    const remove = (id) => entries.delete(id);
+
+    const hasSession = (sessionId) => {
+        const now = Date.now();
+        for (const entry of entries.values()) {
+            if (entry.sessionId === sessionId && now - entry.storedAt <= ttlMs) return true;
+        }
+        return false;
+    };
+
+    const getState = () => ({ entries: entries.size, maxEntries, ttlMs });
+
+    return { save, get, remove, hasSession, getState };
+}
+
+/**
+ * Writes the typed Responses SSE events for one response. Reasoning and text deltas open output items on
+ * demand and close the previous item when the kind of output changes.
+ * `response` is the in-progress response object; `finish(fields)` merges the final fields into it.
+ * `response.created` is only sent with the first output, so fields such as `model` can change until then.
+ */
+export function createResponseEventStream(res, response) {
+    let sequence = 0;
+    let current = null;
+    let started = false;
+
+    const send = (type, payload) => {
+        if (!started) {
+            started = true;
+            send('response.created', { response });
+            send('response.in_progress', { response });
+        }
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...payload })}\n\n`);
+    };
+
+    const closeCurrent = () => {
+        if (!current) return;
+        const { item, outputIndex, text } = current;
+        if (item.type === 'reasoning') {
+            const part = { type: 'summary_text', text };
+            send('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text });
+            send('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+            item.summary = [part];
+        } else {
+            const part = { type: 'output_text', text, annotations: [] };
+            send('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+            send('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+            item.content = [part];
+            item.status = 'completed';
+        }
+        send('response.output_item.done', { output_index: outputIndex, item });
+        current = null;
+    };
+
+    const open = (kind) => {
+        closeCurrent();
+        const outputIndex = response.output.length;
+        const item = kind === 'reasoning'
+            ? { type: 'reasoning', id: createResponseItemId('rs'), summary: [] }
+            : buildMessageItem(null, createResponseItemId('msg'), 'in_progress');
+        response.output.push(item);
+        send('response.output_item.added', { output_index: outputIndex, item: { ...item } });
+        if (kind === 'reasoning') {
+            send('response.reasoning_summary_part.added', {
+                item_id: item.id,
+                output_index: outputIndex,
+                summary_index: 0,
+                part: { type: 'summary_text', text: '' }
+            });
+        } else {
+            send('response.content_part.added', {
+                item_id: item.id,
+                output_index: outputIndex,
+                content_index: 0,
+                part: { type: 'output_text', text: '', annotations: [] }
+            });
+        }
+        current = { kind, item, outputIndex, text: '' };
+    };
+
+    const delta = (kind, text) => {
+        if (!text) return;
+        if (!current || current.kind !== kind) open(kind);
+        current.text += text;
+        if (kind === 'reasoning') {
+            send('response.reasoning_summary_text.delta', { item_id: current.item.id, output_index: current.outputIndex, summary_index: 0, delta: text });
+        } else {
+            send('response.output_text.delta', { item_id: current.item.id, output_index: current.outputIndex, content_index: 0, delta: text });
+        }
+    };
+
+    const functionCall = (call) => {
+        closeCurrent();
+        const outputIndex = response.output.length;
+        const item = buildFunctionCallItem(call);
+        response.output.push(item);
+        send('response.output_item.added', { output_index: outputIndex, item: { ...item, arguments: '', status: 'in_progress' } });
+        send('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+        send('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+        send('response.output_item.done', { output_index: outputIndex, item });
+    };
+
+    return {
+        reasoningDelta: (text) => delta('reasoning', text),
+        textDelta: (text) => delta('text', text),
+        functionCall,
+        /**
+         * Close any open item and send `response.completed`, `response.incomplete` or `response.failed`.
+         */
+        finish: (fields) => {
+            closeCurrent();
+            Object.assign(response, fields);
+            const type = response.status === 'failed'
+                ? 'response.failed'
+                : response.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+            send(type, { response });
+        }
+    };
+}
@@ -0,0 +1,87 @@
+// --- Model routing: aliases, wildcard/regex rules and fallback chains ---
+// MODEL_ROUTES maps a requested model name onto one OpenCode model or an ordered list of them, e.g.
+// { "gpt-4o": "opencode/kimi-k2.5-free", "claude-*": ["opencode/kimi-k2.5-free", "opencode/glm-4.7-free"],
+//   "/^oc-(.+)$/": "opencode/$1" }. Exact names win; patterns are tried in configuration order. `*` matches
+// any run of characters, `/.../flags` is a regular expression, and `$1`... in a target is replaced with
+// the corresponding wildcard or capture group.
+
+const DEFAULT_MODEL = 'opencode/kimi-k2.5-free';
+
+/**
+ * Split a `provider/model` reference; bare model names default to the `opencode` provider.
+ * Only the first slash separates the provider, so model ids may contain slashes themselves.
+ */
+export function parseModelRef(model) {
+    const ref = model || DEFAULT_MODEL;
+    const slash = ref.indexOf('/');
+    if (slash === -1) return { providerID: 'opencode', modelID: ref };
+    return { providerID: ref.slice(0, slash), modelID: ref.slice(slash + 1) };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2]);
+        } catch (e) {
+            throw new Error(`Invalid MODEL_ROUTES pattern ${pattern}: ${e.message}`);
+        }
+    }
+    return new RegExp(`^${pattern.split('*').map(escapeRegExp).join('(.*)')}$`);
+}
+
+function normalizeTargets(pattern, targets) {
+    const list = (Array.isArray(targets) ? targets : [targets]).filter((t) => typeof t === 'string' && t.trim());
+    if (!list.length) {
+        throw new Error(`MODEL_ROUTES entry ${pattern} must name a model or a list of models`);
+    }
+    return list.map((t) => t.trim());
+}
+
+/**
+ * Build the router for a MODEL_ROUTES object. `resolve(name)` returns { requested, models, rule } where
+ * `models` is the ordered chain of { providerID, modelID, id } to try and `rule` the matching key (or null).
+ */
+export function createModelRouter(routes = {}) {
+    const exact = new Map();
+    const patterns = [];
+    Object.entries(routes || {}).forEach(([pattern, targets]) => {
+        const models = normalizeTargets(pattern, targets);
+        if (pattern.includes('*') || /^\/.+\/[a-z]*$/.test(pattern)) {
+            patterns.push({ pattern, regex: compilePattern(pattern), models });
+        } else {
+            exact.set(pattern, models);
+        }
+    });
+
+    const toChain = (names) => {
+        const seen = new Set();
+        return names
+            .map((name) => {
+                const { providerID, modelID } = parseModelRef(name);
+                return { providerID, modelID, id: `${providerID}/${modelID}` };
+            })
+            .filter((m) => !seen.has(m.id) && seen.add(m.id));
+    };
+
+    const resolve = (name) => {
+        const requested = typeof name === 'string' && name ? name : DEFAULT_MODEL;
+        if (exact.has(requested)) {
+            return { requested, models: toChain(exact.get(requested)), rule: requested };
+        }
+        for (const { pattern, regex, models } of patterns) {
+            const match = regex.exec(requested);
+            if (match) {
+                const targets = models.map((t) => t.replace(/\$(\d+)/g, (whole, n) => match[Number(n)] ?? ''));
+                return { requested, models: toChain(targets), rule: pattern };
+            }
+        }
+        return { requested, models: toChain([requested]), rule: null };
+    };
+
+    return { resolve };
+}
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+// --- OpenCode session retention and garbage collection ---
+
+export const SESSION_TITLE_PREFIX = 'opencode-to-openai';
+export const SESSION_RETENTION_POLICIES = ['delete', 'keep-recent', 'ttl'];
+export const DEFAULT_SESSION_RETENTION = 'ttl';
+export const DEFAULT_SESSION_KEEP_COUNT = 50;
+export const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000;
+export const DEFAULT_SESSION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+export const DEFAULT_INSTANCE_ID_FILE = path.join(os.homedir(), '.cache', 'opencode-to-openai', 'instance-id');
+
+const log = createLogger('Sessions');
+
+/**
+ * The instance ID saved in `filePath`, or a new one written there, so it survives restarts.
+ */
+function loadInstanceId(filePath) {
+    try {
+        const saved = fs.readFileSync(filePath, 'utf8').trim();
+        if (/^[\w.-]{1,64}$/.test(saved)) return saved;
+        log.error('Ignoring session instance ID file', { file: filePath, error: 'unexpected file format' });
+    } catch (e) {
+        if (e.code !== 'ENOENT') log.error('Ignoring session instance ID file', { file: filePath, error: e.message });
+    }
+    const instanceId = crypto.randomBytes(4).toString('hex');
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, `${instanceId}\n`);
+        fs.renameSync(tmpPath, filePath);
+    } catch (e) {
+        log.error('Failed to save session instance ID', { file: filePath, error: e.message });
+    }
+    return instanceId;
+}
+
+/**
+ * Tracks sessions this proxy created, and the backend each one lives on, and deletes them according to the
+ * retention policy:
+ * - `delete`: remove each session as soon as its request finishes
+ * - `keep-recent`: keep the `keepCount` most recently updated sessions
+ * - `ttl`: keep sessions until they have been idle for `ttlMs`
+ * Sessions in use by a running request, or held by `isProtected` (session affinity), are never removed.
+ * Session titles carry `instanceId`, or else the ID kept in `instanceIdFile` (a new one when the file is
+ * missing), and only sessions with this ID are swept. `backends` is the backend pool; sweeps go over every admitted backend, and the policy applies per backend.
+ */
+export function createSessionManager(options) {
+    const { backends } = options;
+    const policy = SESSION_RETENTION_POLICIES.includes(options.policy) ? options.policy : DEFAULT_SESSION_RETENTION;
+    const keepCount = Math.max(0, Number(options.keepCount ?? DEFAULT_SESSION_KEEP_COUNT));
+    const ttlMs = Math.max(1000, Number(options.ttlMs) || DEFAULT_SESSION_TTL_MS);
+    const sweepIntervalMs = Number(options.sweepIntervalMs ?? DEFAULT_SESSION_SWEEP_INTERVAL_MS);
+    const isProtected = options.isProtected || (() => false);
+
+    const tracked = new Map();
+    const inFlight = new Map();
+    let sweepTimer = null;
+    let sweeping = null;
+    let lastSweep = null;
+    let totalDeleted = 0;
+
+    // Titles carry the instance ID, so sessions of other proxies sharing the backend are never taken for ours,
+    // while those of earlier runs of this one are. Proxies sharing a home directory set their own IDs.
+    const instanceId = options.instanceId || loadInstanceId(options.instanceIdFile || DEFAULT_INSTANCE_ID_FILE);
+    const titlePrefix = `${SESSION_TITLE_PREFIX} ${instanceId} `;
+    const newTitle = () => `${titlePrefix}${new Date().toISOString()}`;
+
+    const isOwned = (session) => tracked.has(session.id) ||
+        (typeof session.title === 'string' && session.title.startsWith(titlePrefix));
+
+    const isBusy = (sessionId) => inFlight.has(sessionId) || isProtected(sessionId);
+
+    /**
+     * Create a session tagged as ours on `backend` and mark it in use.
+     */
+    const create = async (backend) => {
+        const sessionRes = await backend.client.session.create({ body: { title: newTitle() } });
+        const sessionId = sessionRes.data?.id;
+        if (!sessionId) return null;
+        tracked.set(sessionId, { createdAt: Date.now(), backend });
+        acquire(sessionId);
+        return sessionId;
+    };
+
+    /**
+     * Copy the messages of `sessionId` before `messageId` into a new session tagged as ours, on the same
+     * backend, and mark it in use.
+     */
+    const fork = async (sessionId, messageId) => {
+        const backend = backendOf(sessionId) || backends.primary();
+        const forkRes = await backend.client.session.fork({ path: { id: sessionId }, body: { messageID: messageId } });
+        const forkId = forkRes.data?.id;
+        if (!forkId) return null;
+        tracked.set(forkId, { createdAt: Date.now(), backend });
+        acquire(forkId);
+        try {
+            await backend.client.session.update({ path: { id: forkId }, body: { title: newTitle() } });
+        } catch (e) {
+            log.debug('Failed to title forked session', { sessionId: forkId, error: e.message });
+        }
+        return forkId;
+    };
+
+    /**
+     * The backend holding a session this proxy created, or null.
+     */
+    const backendOf = (sessionId) => tracked.get(sessionId)?.backend || null;
+
+    // Sessions of `backend` in use by running requests.
+    const countInFlight = (backend) => {
+        let count = 0;
+        for (const sessionId of inFlight.keys()) {
+            if (backendOf(sessionId) === backend) count += 1;
+        }
+        return count;
+    };
+
+    const isInFlight = (sessionId) => inFlight.has(sessionId);
+
+    const acquire = (sessionId) => {
+        inFlight.set(sessionId, (inFlight.get(sessionId) || 0) + 1);
+    };
+
+    const release = (sessionId) => {
+        const count = (inFlight.get(sessionId) || 1) - 1;
+        if (count > 0) inFlight.set(sessionId, count);
+        else inFlight.delete(sessionId);
+    };
+
+    const remove = async (sessionId, backend = backendOf(sessionId) || backends.primary()) => {
+        tracked.delete(sessionId);
+        await backend.client.session.delete({ path: { id: sessionId } });
+        totalDeleted += 1;
+    };
+
+    /**
+     * Called when a request is done with its session.
+     */
+    const finish = async (sessionId) => {
+        release(sessionId);
+        if (policy !== 'delete' || !tracked.has(sessionId) || isBusy(sessionId)) return;
+        try {
+            await remove(sessionId);
+            log.debug('Session deleted', { sessionId });
+        } catch (e) {
+            log.error('Failed to delete session', { sessionId, error: e.message });
+        }
+    };
+
+    const sweepBackend = async (backend, report) => {
+        const listRes = await backend.client.session.list();
+        const sessions = Array.isArray(listRes?.data) ? listRes.data : [];
+        report.scanned += sessions.length;
+
+        const candidates = sessions
+            .filter(isOwned)
+            .sort((a, b) => (b.time?.updated || 0) - (a.time?.updated || 0));
+        report.owned += candidates.length;
+
+        const now = Date.now();
+        let kept = 0;
+        const doomed = [];
+        candidates.forEach((session) => {
+            if (isBusy(session.id)) {
+                report.skipped += 1;
+                return;
+            }
+            if (policy === 'keep-recent') {
+                if (kept < keepCount) {
+                    kept += 1;
+                    return;
+                }
+            } else if (policy === 'ttl') {
+                if (now - (session.time?.updated || session.time?.created || now) < ttlMs) return;
+            }
+            doomed.push(session);
+        });
+
+        for (const session of doomed) {
+            try {
+                await remove(session.id, backend);
+                report.deleted.push({ id: session.id, backend: backend.id, title: session.title, updatedAt: session.time?.updated || null });
+            } catch (e) {
+                report.errors.push({ id: session.id, backend: backend.id, error: e.message });
+            }
+        }
+    };
+
+    const runSweep = async () => {
+        const startedAt = Date.now();
+        const report = { startedAt: new Date(startedAt).toISOString(), policy, scanned: 0, owned: 0, skipped: 0, deleted: [], errors: [] };
+        const admitted = backends.backends.filter(backends.isAvailable);
+        if (!admitted.length) throw new Error('No OpenCode backend is available');
+        for (const backend of admitted) {
+            try {
+                await sweepBackend(backend, report);
+            } catch (e) {
+                // One unreachable backend does not stop the sweep of the others.
+                if (admitted.length === 1) throw e;
+                report.errors.push({ backend: backend.id, error: e.message });
+            }
+        }
+        report.ms = Date.now() - startedAt;
+        lastSweep = report;
+        if (report.deleted.length || report.errors.length) {
+            log.info(`Sweep (${policy}) deleted ${report.deleted.length} of ${report.owned} proxy sessions` +
+                (report.errors.length ? `, ${report.errors.length} failed` : ''));
+        }
+        log.debug('Session sweep', { scanned: report.scanned, owned: report.owned, deleted: report.deleted.length, ms: report.ms });
+        return report;
+    };
+
+    /**
+     * Run one sweep over the session list of every admitted backend; concurrent calls share the same run.
+     */
+    const sweep = () => {
+        if (!sweeping) {
+            sweeping = runSweep().finally(() => {
+                sweeping = null;
+            });
+        }
+        return sweeping;
+    };
+
+    const start = () => {
+        if (sweepTimer || !(sweepIntervalMs > 0)) return;
+        sweepTimer = setInterval(() => {
+            sweep().catch((e) => log.debug('Session sweep failed', { error: e.message }));
+        }, sweepIntervalMs);
+        if (sweepTimer.unref) sweepTimer.unref();
+    };
+
+    const stop = () => {
+        if (sweepTimer) clearInterval(sweepTimer);
+        sweepTimer = null;
+    };
+
+    const getState = () => ({
+        instanceId,
+        policy,
+        keepCount,
+        ttlMs,
+        sweepIntervalMs,
+        tracked: tracked.size,
+        inFlight: inFlight.size,
+        totalDeleted,
+        lastSweep
+    });
+
+    return { create, fork, backendOf, countInFlight, isInFlight, acquire, finish, remove, sweep, start, stop, getState };
+}
@@ -0,0 +1,226 @@
+import { HttpError } from './errors.js';
+
+// --- Structured outputs: response_format json_object / json_schema ---
+
+export const DEFAULT_JSON_MAX_RETRIES = 2;
+const MAX_REPORTED_ERRORS = 8;
+
+/**
+ * Normalize `response_format`. Returns null for plain text, otherwise
+ * { type: 'json_object' } or { type: 'json_schema', name, description, schema }.
+ */
+export function resolveResponseFormat(responseFormat) {
+    if (responseFormat === undefined || responseFormat === null) return null;
+    if (typeof responseFormat !== 'object' || Array.isArray(responseFormat)) {
+        throw new HttpError(400, 'response_format must be an object', 'invalid_request_error', 'invalid_response_format');
+    }
+    const { type } = responseFormat;
+    if (type === 'text') return null;
+    if (type === 'json_object') return { type };
+    if (type === 'json_schema') {
+        const spec = responseFormat.json_schema;
+        if (!spec || typeof spec !== 'object' || !spec.schema || typeof spec.schema !== 'object') {
+            throw new HttpError(400, 'response_format.json_schema.schema is required', 'invalid_request_error', 'invalid_response_format');
+        }
+        return {
+            type,
+            name: typeof spec.name === 'string' ? spec.name : 'response',
+            description: typeof spec.description === 'string' ? spec.description : '',
+            schema: spec.schema
+        };
+    }
+    throw new HttpError(400, `Unsupported response_format type: ${type}`, 'invalid_request_error', 'invalid_response_format');
+}
+
+/**
+ * System prompt text asking the model for bare JSON (matching the schema, if any).
+ */
+export function buildResponseFormatInstructions(format) {
+    if (!format) return '';
+    const lines = [
+        'Respond with a single valid JSON value and nothing else: no prose, no explanations and no Markdown code fences.'
+    ];
+    if (format.type === 'json_schema') {
+        lines.push(`The JSON must conform to the JSON Schema "${format.name}"${format.description ? ` (${format.description})` : ''}:`);
+        lines.push(JSON.stringify(format.schema, null, 2));
+        lines.push('Include every required property and no properties the schema does not allow.');
+    } else {
+        lines.push('The JSON value must be an object.');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Corrective follow-up sent when a reply was not valid JSON or did not match the schema.
+ */
+export function buildCorrectionPrompt(errors) {
+    return [
+        'Your previous reply did not satisfy the required JSON format:',
+        ...errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `- ${e}`),
+        'Reply again with only the corrected JSON value.'
+    ].join('\n');
+}
+
+/**
+ * Index just past the JSON object or array that starts at `start`, or -1 when it is not closed.
+ */
+function findBalancedEnd(text, start) {
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i += 1) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i += 1;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+        else if (ch === '}' || ch === ']') {
+            if (stack.pop() !== ch) return -1;
+            if (!stack.length) return i + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Pull a JSON value out of model output: the whole text, a fenced code block, or the first balanced
+ * object/array embedded in prose. Returns { ok: true, value } or { ok: false, error }.
+ */
+export function extractJson(text) {
+    const source = String(text || '').trim();
+    if (!source) return { ok: false, error: 'the reply was empty' };
+    const candidates = [source];
+    const fence = /```[a-zA-Z0-9_-]*\s*\n?([\s\S]*?)```/g;
+    let match;
+    while ((match = fence.exec(source)) !== null) candidates.push(match[1].trim());
+    const start = source.search(/[{[]/);
+    if (start !== -1) {
+        const end = findBalancedEnd(source, start);
+        if (end !== -1) candidates.push(source.slice(start, end));
+    }
+    for (const candidate of candidates) {
+        try {
+            return { ok: true, value: JSON.parse(candidate) };
+        } catch (e) {
+            // try the next candidate
+        }
+    }
+    return { ok: false, error: 'the reply was not valid JSON' };
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, key) => {
+        if (!node || typeof node !== 'object') return null;
+        return node[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }, root);
+}
+
+/**
+ * Validate `value` against the commonly used subset of JSON Schema (type, enum, const, properties,
+ * required, additionalProperties, items, length/size/range bounds, pattern, anyOf/oneOf/allOf and
+ * local $ref). Returns a list of human-readable errors, empty when the value matches.
+ */
+export function validateJsonSchema(value, schema, root = schema, at = '$') {
+    if (schema === true || schema === undefined || schema === null) return [];
+    if (schema === false) return [`${at} is not allowed`];
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (!target) return [`${at}: unresolvable $ref ${schema.$ref}`];
+        return validateJsonSchema(value, target, root, at);
+    }
+
+    const errors = [];
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((t) => matchesType(value, t))) {
+            return [`${at} must be of type ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${at} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${at} must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((sub) => errors.push(...validateJsonSchema(value, sub, root, at)));
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some((sub) => !validateJsonSchema(value, sub, root, at).length)) {
+        errors.push(`${at} does not match any of the allowed schemas`);
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const matching = schema.oneOf.filter((sub) => !validateJsonSchema(value, sub, root, at).length).length;
+        if (matching !== 1) errors.push(`${at} must match exactly one of the allowed schemas (matched ${matching})`);
+    }
+
+    const kind = typeOf(value);
+    if (kind === 'object') {
+        const properties = schema.properties || {};
+        (Array.isArray(schema.required) ? schema.required : []).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${at} is missing required property "${key}"`);
+        });
+        Object.keys(value).forEach((key) => {
+            const path = `${at}.${key}`;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                errors.push(...validateJsonSchema(value[key], properties[key], root, path));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at} has unexpected property "${key}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJsonSchema(value[key], schema.additionalProperties, root, path));
+            }
+        });
+    } else if (kind === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+        if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+            value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, root, `${at}[${i}]`)));
+        }
+    } else if (kind === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at} must match pattern ${schema.pattern}`);
+            } catch (e) {
+                // patterns JavaScript cannot compile are not enforced
+            }
+        }
+    } else if (kind === 'number' || kind === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${at} must be > ${schema.exclusiveMinimum}`);
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${at} must be < ${schema.exclusiveMaximum}`);
+    }
+    return errors;
+}
+
+/**
+ * Check a reply against the requested format. Returns { ok: true, value } or { ok: false, errors }.
+ */
+export function checkStructuredOutput(text, format) {
+    const parsed = extractJson(text);
+    if (!parsed.ok) return { ok: false, errors: [parsed.error] };
+    if (format.type === 'json_object') {
+        return typeOf(parsed.value) === 'object'
+            ? { ok: true, value: parsed.value }
+            : { ok: false, errors: [`expected a JSON object, got ${typeOf(parsed.value)}`] };
+    }
+    const errors = validateJsonSchema(parsed.value, format.schema);
+    return errors.length ? { ok: false, errors } : { ok: true, value: parsed.value };
+}
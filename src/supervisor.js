@@ -0,0 +1,350 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+// --- Supervisor for the OpenCode backends the proxy starts: restarts, crash loops and captured output ---
+// BACKEND_SUPERVISOR = { "restartBackoffMs": 1000, "maxRestartBackoffMs": 60000, "crashLoopRestarts": 5,
+//   "crashLoopWindowMs": 300000, "startupTimeoutMs": 120000, "logLines": 1000, "logFile": "" }
+// A backend that exits on its own is restarted after `restartBackoffMs`, doubling for each further crash
+// up to `maxRestartBackoffMs`. `crashLoopRestarts` crashes within `crashLoopWindowMs` stop the restarts
+// until a manual restart. Its stdout/stderr lines are kept (the last `logLines` per backend), logged at
+// debug level under [OpenCode] and, with `logFile`, appended there tagged with the backend.
+
+export const DEFAULT_RESTART_BACKOFF_MS = 1000;
+export const DEFAULT_MAX_RESTART_BACKOFF_MS = 60 * 1000;
+export const DEFAULT_CRASH_LOOP_RESTARTS = 5;
+export const DEFAULT_CRASH_LOOP_WINDOW_MS = 5 * 60 * 1000;
+export const DEFAULT_STARTUP_TIMEOUT_MS = 120 * 1000;
+export const DEFAULT_BACKEND_LOG_LINES = 1000;
+const STARTUP_POLL_INTERVAL_MS = 1000;
+const MAX_LOG_QUERY_LIMIT = 5000;
+
+const log = createLogger('Supervisor');
+const outputLog = createLogger('OpenCode');
+
+/**
+ * Captured backend output: the last `maxLines` lines of each backend in memory, and every line appended
+ * to `file` when set. `append(backend, stream, line)` stores one line; `tail(filters)` returns the newest
+ * lines, oldest first, filtered by { backend, stream, since, q, limit }.
+ */
+export function createBackendLogs(options = {}) {
+    const maxLines = Math.max(1, Number(options.maxLines) || DEFAULT_BACKEND_LOG_LINES);
+    const filePath = options.file || '';
+    const buffers = new Map();
+    let fileStream = null;
+    let lastFileError = null;
+
+    const writeFile = (entry) => {
+        if (!filePath) return;
+        if (!fileStream) {
+            try {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            } catch (e) { }
+            fileStream = fs.createWriteStream(filePath, { flags: 'a' });
+            fileStream.on('error', (e) => {
+                if (lastFileError !== e.message) log.error('Failed to write backend log file', { file: filePath, error: e.message });
+                lastFileError = e.message;
+                fileStream = null;
+            });
+        }
+        fileStream.write(`${entry.time} [${entry.backend}] [${entry.stream}] ${entry.line}\n`);
+    };
+
+    const append = (backend, stream, line) => {
+        const entry = { time: new Date().toISOString(), backend, stream, line };
+        if (!buffers.has(backend)) buffers.set(backend, []);
+        const buffer = buffers.get(backend);
+        buffer.push(entry);
+        if (buffer.length > maxLines) buffer.splice(0, buffer.length - maxLines);
+        outputLog.debug(line, { backend, stream });
+        writeFile(entry);
+    };
+
+    const tail = (filters = {}) => {
+        const limit = Math.min(MAX_LOG_QUERY_LIMIT, Number.parseInt(filters.limit, 10) || 200);
+        const since = filters.since ? (Number(filters.since) || Date.parse(filters.since)) : null;
+        const q = filters.q ? String(filters.q).toLowerCase() : '';
+        const lines = [...buffers.entries()]
+            .filter(([backend]) => !filters.backend || backend === filters.backend)
+            .flatMap(([, buffer]) => buffer)
+            .filter((entry) => (!filters.stream || entry.stream === filters.stream) &&
+                (!since || Date.parse(entry.time) >= since) &&
+                (!q || entry.line.toLowerCase().includes(q)))
+            .sort((a, b) => a.time.localeCompare(b.time));
+        return lines.slice(-limit);
+    };
+
+    const close = () => {
+        if (fileStream) fileStream.end();
+        fileStream = null;
+    };
+
+    const getState = () => ({
+        maxLines,
+        file: filePath || null,
+        lines: Object.fromEntries([...buffers.entries()].map(([backend, buffer]) => [backend, buffer.length])),
+        lastFileError
+    });
+
+    return { append, tail, close, getState };
+}
+
+/**
+ * Stop `child` together with the processes it started: a backend launched through a shell is the shell,
+ * and killing only that would leave OpenCode running on its port. On Windows `taskkill /T` ends the tree;
+ * elsewhere the child leads its own process group (spawned with `detached`), which gets the signal.
+ */
+function killProcessTree(child) {
+    if (!child.pid) return;
+    if (process.platform === 'win32') {
+        const taskkill = spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore', windowsHide: true });
+        taskkill.on('error', () => child.kill());
+        return;
+    }
+    try {
+        process.kill(-child.pid, 'SIGTERM');
+    } catch (e) {
+        // Not a group leader (or already gone): signal the process itself.
+        child.kill();
+    }
+}
+
+/**
+ * Keeps one backend process running. `launch()` spawns it with piped stdout/stderr (as a process group
+ * leader outside Windows, so that the whole group can be stopped) and returns the child process;
+ * `checkHealth()` rejects until it answers; `onStatusChange(status, reason)` is told about every change,
+ * with the reason of a crash. `status` is:
+ * - `starting`: launched and waiting for the first passing health check (at most `startupTimeoutMs`)
+ * - `running`: answering health checks
+ * - `backoff`: exited or failed to start, and waiting to be restarted
+ * - `crash-loop`: crashed too often; no more restarts until `restart()` is called
+ * - `detached`: exited while another process answers on its port, so it is not restarted
+ * - `stopped`: never started, or stopped by `stop()`
+ * `restart()` (re)starts the process now and clears a crash loop; `waitUntilRunning(timeoutMs)` resolves
+ * once it answers and rejects when it stops being restarted.
+ */
+export function createBackendSupervisor(options) {
+    const { id, launch, checkHealth, logs } = options;
+    const onStatusChange = options.onStatusChange || (() => { });
+    const restartBackoffMs = Math.max(0, Number(options.restartBackoffMs ?? DEFAULT_RESTART_BACKOFF_MS));
+    const maxRestartBackoffMs = Math.max(restartBackoffMs, Number(options.maxRestartBackoffMs ?? DEFAULT_MAX_RESTART_BACKOFF_MS));
+    const crashLoopRestarts = Math.max(1, Number(options.crashLoopRestarts) || DEFAULT_CRASH_LOOP_RESTARTS);
+    const crashLoopWindowMs = Math.max(1000, Number(options.crashLoopWindowMs) || DEFAULT_CRASH_LOOP_WINDOW_MS);
+    const startupTimeoutMs = Math.max(1000, Number(options.startupTimeoutMs) || DEFAULT_STARTUP_TIMEOUT_MS);
+
+    let status = 'stopped';
+    let child = null;
+    let startedAt = null;
+    let restarts = 0;
+    let crashes = [];
+    let lastExit = null;
+    let lastError = null;
+    let restartTimer = null;
+    let startupTimer = null;
+    const waiters = new Set();
+
+    const setStatus = (next, reason = null) => {
+        const changed = status !== next;
+        status = next;
+        waiters.forEach((waiter) => waiter());
+        if (changed) onStatusChange(next, reason);
+    };
+
+    const clearTimers = () => {
+        if (restartTimer) clearTimeout(restartTimer);
+        if (startupTimer) clearTimeout(startupTimer);
+        restartTimer = null;
+        startupTimer = null;
+    };
+
+    const captureLines = (stream, name) => {
+        if (!stream) return;
+        let pending = '';
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => {
+            const lines = (pending + chunk).split(/\r?\n/);
+            pending = lines.pop();
+            lines.filter(Boolean).forEach((line) => logs.append(id, name, line));
+        });
+        stream.on('end', () => {
+            if (pending) logs.append(id, name, pending);
+            pending = '';
+        });
+    };
+
+    const recordError = (message) => {
+        lastError = { message, at: Date.now() };
+    };
+
+    // Exits and failed starts: restart after a backoff, unless that makes too many in the window.
+    const handleCrash = (reason) => {
+        const now = Date.now();
+        crashes = [...crashes.filter((at) => now - at <= crashLoopWindowMs), now];
+        recordError(reason);
+        if (crashes.length >= crashLoopRestarts) {
+            log.error(`Backend ${id} crashed ${crashes.length} times within ${Math.round(crashLoopWindowMs / 1000)}s; ` +
+                'giving up until it is restarted manually', { reason });
+            setStatus('crash-loop', reason);
+            return;
+        }
+        const delay = Math.min(maxRestartBackoffMs, restartBackoffMs * 2 ** (crashes.length - 1));
+        log.warn(`Backend ${id} ${reason}; restarting in ${delay}ms`);
+        setStatus('backoff', reason);
+        restartTimer = setTimeout(() => {
+            restartTimer = null;
+            restarts += 1;
+            spawnChild();
+        }, delay);
+        restartTimer.unref();
+    };
+
+    const pollStartup = () => {
+        const launchedAt = startedAt;
+        const poll = async () => {
+            startupTimer = null;
+            if (status !== 'starting' || startedAt !== launchedAt) return;
+            try {
+                await checkHealth();
+                if (status !== 'starting' || startedAt !== launchedAt) return;
+                log.info(`Backend ${id} ready`, { pid: child?.pid, ms: Date.now() - launchedAt });
+                setStatus('running');
+            } catch (e) {
+                if (status !== 'starting' || startedAt !== launchedAt) return;
+                if (Date.now() - launchedAt >= startupTimeoutMs) {
+                    const current = child;
+                    child = null;
+                    if (current) killProcessTree(current);
+                    handleCrash(`did not answer within ${Math.round(startupTimeoutMs / 1000)}s of starting`);
+                    return;
+                }
+                startupTimer = setTimeout(poll, STARTUP_POLL_INTERVAL_MS);
+                startupTimer.unref();
+            }
+        };
+        startupTimer = setTimeout(poll, STARTUP_POLL_INTERVAL_MS);
+        startupTimer.unref();
+    };
+
+    const onExit = async (current, code, signal, reason = `exited with ${signal ? `signal ${signal}` : `code ${code}`}`) => {
+        if (child !== current) return;
+        child = null;
+        lastExit = { code, signal, at: Date.now() };
+        if (status === 'stopped') return;
+        clearTimers();
+        try {
+            // Another process (e.g. an OpenCode started by hand) may be serving the port.
+            await checkHealth();
+            if (child) return;
+            log.info(`Backend ${id} ${reason}, but its port is answered by another process; not restarting`);
+            recordError(reason);
+            setStatus('detached');
+        } catch (e) {
+            if (child || status === 'stopped') return;
+            handleCrash(reason);
+        }
+    };
+
+    function spawnChild() {
+        clearTimers();
+        let current;
+        try {
+            current = launch();
+        } catch (e) {
+            handleCrash(`failed to start: ${e.message}`);
+            return;
+        }
+        child = current;
+        startedAt = Date.now();
+        setStatus('starting');
+        captureLines(current.stdout, 'stdout');
+        captureLines(current.stderr, 'stderr');
+        current.on('error', (e) => {
+            recordError(e.message);
+            logs.append(id, 'stderr', `[spawn error] ${e.message}`);
+            // A process that could not be spawned has no pid and may never emit 'exit'.
+            if (current.pid === undefined) onExit(current, null, null, `failed to start: ${e.message}`);
+        });
+        current.on('exit', (code, signal) => onExit(current, code, signal));
+        pollStartup();
+    }
+
+    const killChild = () => {
+        const current = child;
+        child = null;
+        if (current) {
+            try {
+                killProcessTree(current);
+            } catch (e) { }
+        }
+    };
+
+    /**
+     * Start the process now, replacing a running one (which counts as a restart) and clearing a crash loop.
+     */
+    const restart = () => {
+        if (child || status !== 'stopped') restarts += 1;
+        killChild();
+        crashes = [];
+        spawnChild();
+    };
+
+    const stop = () => {
+        clearTimers();
+        setStatus('stopped');
+        killChild();
+    };
+
+    const waitUntilRunning = (timeoutMs = startupTimeoutMs) => new Promise((resolve, reject) => {
+        let timer = null;
+        const check = () => {
+            if (status === 'running') finish(null);
+            else if (status === 'crash-loop') finish(new Error(`OpenCode backend ${id} is in a crash loop: ${lastError?.message || 'unknown error'}`));
+            else if (status === 'stopped') finish(new Error(`OpenCode backend ${id} is stopped`));
+        };
+        const finish = (error) => {
+            clearTimeout(timer);
+            waiters.delete(check);
+            if (error) reject(error);
+            else resolve();
+        };
+        timer = setTimeout(() => finish(new Error('Backend start timeout')), timeoutMs);
+        waiters.add(check);
+        check();
+    });
+
+    /**
+     * A `running` backend whose health check fails: mark it for restart with the usual backoff.
+     */
+    const reportUnhealthy = (reason) => {
+        if (status !== 'running') return;
+        killChild();
+        handleCrash(`stopped answering health checks (${reason})`);
+    };
+
+    const getState = () => ({
+        id,
+        status,
+        pid: child?.pid ?? null,
+        startedAt: startedAt && child ? new Date(startedAt).toISOString() : null,
+        uptimeMs: startedAt && child ? Date.now() - startedAt : null,
+        restarts,
+        recentCrashes: crashes.filter((at) => Date.now() - at <= crashLoopWindowMs).length,
+        lastExit: lastExit ? { ...lastExit, at: new Date(lastExit.at).toISOString() } : null,
+        lastError: lastError ? { message: lastError.message, at: new Date(lastError.at).toISOString() } : null
+    });
+
+    return {
+        get status() {
+            return status;
+        },
+        get restarts() {
+            return restarts;
+        },
+        restart,
+        stop,
+        waitUntilRunning,
+        reportUnhealthy,
+        getState
+    };
+}
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+
+// --- Emulated OpenAI function calling ---
+// OpenCode has no notion of client-side tools, so the tool schemas are described
+// to the model in the system prompt and calls are written back as a
+// <function_calls> block that the proxy parses into OpenAI `tool_calls`.
+
+export const FUNCTION_CALLS_OPEN = '<function_calls>';
+export const FUNCTION_CALLS_CLOSE = '</function_calls>';
+
+function createToolCallId() {
+    return `call_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Keep only well-formed `{ type: 'function', function: { name } }` entries.
+ */
+export function normalizeTools(tools) {
+    if (!Array.isArray(tools)) return [];
+    return tools
+        .filter((t) => t && (t.type === 'function' || !t.type) && t.function && typeof t.function.name === 'string')
+        .map((t) => ({
+            name: t.function.name,
+            description: t.function.description || '',
+            parameters: t.function.parameters || { type: 'object', properties: {} }
+        }));
+}
+
+/**
+ * Resolve `tool_choice` into { mode, name }. Returns null for a named function that is not in `tools`.
+ */
+export function resolveToolChoice(toolChoice, tools) {
+    if (toolChoice === undefined || toolChoice === null || toolChoice === 'auto') return { mode: 'auto', name: null };
+    if (toolChoice === 'none') return { mode: 'none', name: null };
+    if (toolChoice === 'required') return { mode: 'required', name: null };
+    const name = toolChoice?.function?.name;
+    if (toolChoice?.type === 'function' && name && tools.some((t) => t.name === name)) {
+        return { mode: 'function', name };
+    }
+    return null;
+}
+
+/**
+ * System prompt section describing the client's tools and the call format.
+ */
+export function buildToolInstructions(tools, choice, parallelToolCalls = true) {
+    const lines = [
+        'You can call the client-side functions listed below. Do not use any other tools.',
+        'To call functions, reply with a block in exactly this format, one JSON object per line:',
+        FUNCTION_CALLS_OPEN,
+        '{"name": "function_name", "arguments": {"param": "value"}}',
+        FUNCTION_CALLS_CLOSE,
+        '`arguments` must be a JSON object that matches the function parameters schema.',
+        'Stop right after the block. Results come back in TOOL messages; use them to continue.',
+        'If no function is needed, answer normally without the block.'
+    ];
+    if (choice.mode === 'required') {
+        lines.push('You must call at least one function in this reply.');
+    } else if (choice.mode === 'function') {
+        lines.push(`You must call the function "${choice.name}" in this reply.`);
+    }
+    if (parallelToolCalls === false) {
+        lines.push('Call at most one function per reply.');
+    }
+    lines.push('', 'Available functions:');
+    tools.forEach((t) => {
+        lines.push(`- ${t.name}${t.description ? `: ${t.description}` : ''}`);
+        lines.push(`  parameters: ${JSON.stringify(t.parameters)}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Render assistant `tool_calls` from the conversation history in the same markup the model is asked to write.
+ */
+export function formatToolCallsMarkup(toolCalls) {
+    if (!Array.isArray(toolCalls) || !toolCalls.length) return '';
+    const lines = toolCalls.map((call) => {
+        const fn = call?.function || {};
+        let args = fn.arguments;
+        if (typeof args === 'string') {
+            try {
+                args = JSON.parse(args);
+            } catch (e) {
+                // Keep the raw string; the model still sees what it sent.
+            }
+        }
+        return JSON.stringify({ id: call?.id, name: fn.name, arguments: args ?? {} });
+    });
+    return [FUNCTION_CALLS_OPEN, ...lines, FUNCTION_CALLS_CLOSE].join('\n');
+}
+
+function toToolCall(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const fn = entry.function && typeof entry.function === 'object' ? entry.function : entry;
+    const name = fn.name;
+    if (typeof name !== 'string' || !name) return null;
+    let args = fn.arguments ?? fn.parameters ?? fn.input ?? {};
+    if (typeof args !== 'string') args = JSON.stringify(args);
+    return { name, arguments: args };
+}
+
+function parseInvokeMarkup(block) {
+    const calls = [];
+    const invokeRe = /<invoke\s+name="([^"]+)"\s*>([\s\S]*?)<\/invoke>/g;
+    let match;
+    while ((match = invokeRe.exec(block)) !== null) {
+        const args = {};
+        const paramRe = /<parameter\s+name="([^"]+)"\s*>([\s\S]*?)<\/parameter>/g;
+        let param;
+        while ((param = paramRe.exec(match[2])) !== null) {
+            const raw = param[2].trim();
+            try {
+                args[param[1]] = JSON.parse(raw);
+            } catch (e) {
+                args[param[1]] = raw;
+            }
+        }
+        calls.push({ name: match[1], arguments: JSON.stringify(args) });
+    }
+    return calls;
+}
+
+/**
+ * Parse the body of one <function_calls> block. Accepts JSON lines, a JSON array/object, or <invoke> markup.
+ */
+export function parseToolCallBlock(block) {
+    const body = (block || '').trim();
+    if (!body) return [];
+    if (body.includes('<invoke')) return parseInvokeMarkup(body);
+    try {
+        const parsed = JSON.parse(body);
+        return (Array.isArray(parsed) ? parsed : [parsed]).map(toToolCall).filter(Boolean);
+    } catch (e) {
+        // Fall through to line-delimited JSON.
+    }
+    const calls = [];
+    body.split('\n').forEach((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        try {
+            const call = toToolCall(JSON.parse(trimmed));
+            if (call) calls.push(call);
+        } catch (e) {
+            // Ignore lines that are not JSON.
+        }
+    });
+    return calls;
+}
+
+function partialTagLength(text, tag) {
+    const max = Math.min(text.length, tag.length - 1);
+    for (let len = max; len > 0; len -= 1) {
+        if (text.endsWith(tag.slice(0, len))) return len;
+    }
+    return 0;
+}
+
+/**
+ * Incremental <function_calls> parser for streamed output.
+ * `push(chunk)` and `flush()` return { text, toolCalls }: text outside the blocks and completed calls.
+ * With `capture: false` blocks are only removed; calls beyond `maxCalls` (1 when the client turned off
+ * parallel tool calls) are dropped.
+ */
+export function createToolCallStreamParser(options = {}) {
+    const { capture = true, allowedNames = null, maxCalls = Infinity } = options;
+    let buffer = '';
+    let block = '';
+    let inBlock = false;
+    let callCount = 0;
+
+    const finishBlock = () => {
+        const body = block;
+        block = '';
+        if (!capture) return [];
+        return parseToolCallBlock(body)
+            .filter((call) => !allowedNames || allowedNames.has(call.name))
+            .slice(0, Math.max(0, maxCalls - callCount))
+            .map((call) => ({
+                index: callCount++,
+                id: createToolCallId(),
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments }
+            }));
+    };
+
+    const push = (chunk) => {
+        let text = '';
+        const toolCalls = [];
+        buffer += chunk || '';
+        while (buffer.length) {
+            if (inBlock) {
+                const endIdx = buffer.indexOf(FUNCTION_CALLS_CLOSE);
+                if (endIdx === -1) {
+                    const keep = partialTagLength(buffer, FUNCTION_CALLS_CLOSE);
+                    block += buffer.slice(0, buffer.length - keep);
+                    buffer = buffer.slice(buffer.length - keep);
+                    break;
+                }
+                block += buffer.slice(0, endIdx);
+                buffer = buffer.slice(endIdx + FUNCTION_CALLS_CLOSE.length);
+                inBlock = false;
+                toolCalls.push(...finishBlock());
+                continue;
+            }
+            const startIdx = buffer.indexOf(FUNCTION_CALLS_OPEN);
+            if (startIdx === -1) {
+                const keep = partialTagLength(buffer, FUNCTION_CALLS_OPEN);
+                text += buffer.slice(0, buffer.length - keep);
+                buffer = buffer.slice(buffer.length - keep);
+                break;
+            }
+            text += buffer.slice(0, startIdx);
+            buffer = buffer.slice(startIdx + FUNCTION_CALLS_OPEN.length);
+            inBlock = true;
+        }
+        return { text, toolCalls };
+    };
+
+    const flush = () => {
+        if (inBlock) {
+            // Unterminated block: the model stopped before writing the closing tag.
+            block += buffer;
+            buffer = '';
+            inBlock = false;
+            return { text: '', toolCalls: finishBlock() };
+        }
+        const text = buffer;
+        buffer = '';
+        return { text, toolCalls: [] };
+    };
+
+    return {
+        push,
+        flush,
+        get toolCallCount() {
+            return callCount;
+        }
+    };
+}
+
+/**
+ * Split a complete response into plain text and at most `maxCalls` parsed tool calls.
+ */
+export function extractToolCalls(text, allowedNames = null, maxCalls = Infinity) {
+    const parser = createToolCallStreamParser({ allowedNames, maxCalls });
+    const first = parser.push(text || '');
+    const rest = parser.flush();
+    return {
+        content: `${first.text}${rest.text}`.trim(),
+        toolCalls: [...first.toolCalls, ...rest.toolCalls]
+    };
+}